@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { initializeApp, deleteApp } from 'firebase/app';
+import {
+    getAuth, connectAuthEmulator, signInAnonymously, signInWithEmailAndPassword, signOut,
+    createUserWithEmailAndPassword, linkWithCredential, EmailAuthProvider,
+} from 'firebase/auth';
+
+// Needs the Auth emulator (npm run test:emulators); skipped without it.
+// Mirrors handleAccountLink in ground0.jsx: a guest keeps their uid when they add an email.
+const EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-kalari';
+
+describe.skipIf(!EMULATOR_HOST)('linking a guest account to an email', () => {
+    let app;
+    let auth;
+
+    beforeEach(async () => {
+        // Start from an empty user list
+        await fetch(`http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+        app = initializeApp({ apiKey: 'test-api-key', projectId: PROJECT_ID }, `account-link-${Date.now()}`);
+        auth = getAuth(app);
+        connectAuthEmulator(auth, `http://${EMULATOR_HOST}`, { disableWarnings: true });
+    });
+
+    afterEach(() => deleteApp(app));
+
+    it('keeps the guest uid, so the guest data stays theirs', async () => {
+        const { user: guest } = await signInAnonymously(auth);
+        const { user } = await linkWithCredential(guest, EmailAuthProvider.credential('guest@example.com', 'secret123'));
+
+        expect(user.uid).toBe(guest.uid);
+        expect(user.isAnonymous).toBe(false);
+        expect(user.email).toBe('guest@example.com');
+
+        // Signing in again, as on another device, returns to the same account
+        await signOut(auth);
+        const { user: again } = await signInWithEmailAndPassword(auth, 'guest@example.com', 'secret123');
+        expect(again.uid).toBe(guest.uid);
+    });
+
+    it('refuses an email that already belongs to another account', async () => {
+        const { user: owner } = await createUserWithEmailAndPassword(auth, 'taken@example.com', 'secret123');
+        await signOut(auth);
+        const { user: guest } = await signInAnonymously(auth);
+
+        await expect(linkWithCredential(guest, EmailAuthProvider.credential('taken@example.com', 'secret123')))
+            .rejects.toMatchObject({ code: expect.stringMatching(/^auth\/(email|credential)-already-in-use$/) });
+        expect(auth.currentUser.uid).toBe(guest.uid);
+        expect(auth.currentUser.uid).not.toBe(owner.uid);
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Parsers and serializers for bookmark files.
+ * Supports the Netscape bookmark HTML format that every browser exports
+ * (folders and ADD_DATE included) and a simple JSON format of our own.
+ *
+ * Bookmarks are plain objects: { name, url, folder, tags, addedAt }, where `folder`
+ * is a '/'-separated path ('' for the top level), `tags` an array of strings
+ * and `addedAt` a Date or null.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const getAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+};
+
+// ADD_DATE is seconds since the epoch; some exporters write microseconds.
+const parseAddDate = (value) => {
+    const seconds = Number(value);
+    if (!value || !Number.isFinite(seconds) || seconds <= 0) return null;
+    return new Date(seconds > 1e12 ? seconds / 1000 : seconds * 1000);
+};
+
+const joinFolder = (parts) => parts.filter(Boolean).join('/');
+
+const splitTags = (value) => (value || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Parses a Netscape bookmark file (bookmarks.html).
+ * @param {string} html - File contents.
+ * @returns {Array<{name: string, url: string, folder: string, tags: string[], addedAt: Date|null}>}
+ */
+export const parseNetscapeBookmarks = (html) => {
+    const bookmarks = [];
+    const folderStack = [];
+    let pendingFolder = null;
+
+    // Walk the tags in document order; <DL> opens the folder named by the preceding <H3>.
+    const tokenPattern = /<(\/?)dl\b[^>]*>|<h3\b[^>]*>([\s\S]*?)<\/h3\s*>|<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi;
+    let match;
+    while ((match = tokenPattern.exec(html)) !== null) {
+        const [token, closing, folderName, attributes, linkText] = match;
+
+        if (folderName !== undefined) {
+            pendingFolder = decodeEntities(folderName.replace(/<[^>]*>/g, '')).trim();
+        } else if (attributes !== undefined) {
+            const url = getAttribute(attributes, 'href');
+            if (!url || /^(javascript|place):/i.test(url)) continue;
+
+            bookmarks.push({
+                name: decodeEntities(linkText.replace(/<[^>]*>/g, '')).trim() || url,
+                url,
+                // The outermost <DL> is the file itself, not a folder.
+                folder: joinFolder(folderStack.slice(1)),
+                // Firefox writes tags as a comma-separated TAGS attribute.
+                tags: splitTags(getAttribute(attributes, 'tags')),
+                addedAt: parseAddDate(getAttribute(attributes, 'add_date')),
+            });
+        } else if (closing) {
+            folderStack.pop();
+        } else if (/^<dl/i.test(token)) {
+            folderStack.push(pendingFolder);
+            pendingFolder = null;
+        }
+    }
+
+    return bookmarks;
+};
+
+/**
+ * Parses a JSON bookmark file: either an array or an object with a `bookmarks` array.
+ * Entries may use `name` or `title`, and `addedAt` as an ISO string or epoch milliseconds.
+ * @param {string} text - File contents.
+ * @returns {Array<{name: string, url: string, folder: string, tags: string[], addedAt: Date|null}>}
+ */
+export const parseJsonBookmarks = (text) => {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data?.bookmarks;
+    if (!Array.isArray(entries)) {
+        throw new Error("JSON bookmark file must be an array or contain a 'bookmarks' array.");
+    }
+
+    return entries
+        .filter(entry => entry && typeof entry.url === 'string' && entry.url.trim())
+        .map((entry) => {
+            const addedAt = entry.addedAt ? new Date(entry.addedAt) : null;
+            return {
+                name: String(entry.name ?? entry.title ?? entry.url).trim(),
+                url: entry.url.trim(),
+                folder: typeof entry.folder === 'string' ? joinFolder(entry.folder.split('/').map(p => p.trim())) : '',
+                tags: Array.isArray(entry.tags) ? splitTags(entry.tags.join(',')) : splitTags(entry.tags),
+                addedAt: addedAt && !Number.isNaN(addedAt.getTime()) ? addedAt : null,
+            };
+        });
+};
+
+/**
+ * Parses an uploaded bookmark file, picking the format from its name or contents.
+ * @param {string} fileName - Name of the uploaded file.
+ * @param {string} text - File contents.
+ * @returns {{format: 'html'|'json', bookmarks: Array}}
+ */
+export const parseBookmarkFile = (fileName, text) => {
+    const looksLikeJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    if (looksLikeJson) {
+        return { format: 'json', bookmarks: parseJsonBookmarks(text) };
+    }
+    if (/<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(text) || /<dt>\s*<a\s/i.test(text)) {
+        return { format: 'html', bookmarks: parseNetscapeBookmarks(text) };
+    }
+    throw new Error('Unrecognized bookmark file. Use a browser bookmarks.html export or a JSON file.');
+};
+
+/**
+ * Serializes bookmarks to the Netscape bookmark HTML format, nesting folders.
+ * Folders and links are written in the order they first appear, so parseNetscapeBookmarks
+ * reads back the same order whenever each folder's bookmarks are listed together.
+ * @param {Array<{name: string, url: string, folder?: string, tags?: string[], addedAt?: Date|null}>} bookmarks
+ * @returns {string}
+ */
+export const exportNetscapeBookmarks = (bookmarks) => {
+    // `entries` holds child folders and links in order; `folders` finds a child folder by name
+    const root = { folders: new Map(), entries: [] };
+    bookmarks.forEach((bookmark) => {
+        const node = (bookmark.folder || '').split('/').filter(Boolean).reduce((parent, name) => {
+            if (!parent.folders.has(name)) {
+                const folder = { folders: new Map(), entries: [] };
+                parent.folders.set(name, folder);
+                parent.entries.push({ name, folder });
+            }
+            return parent.folders.get(name);
+        }, root);
+        node.entries.push({ bookmark });
+    });
+
+    const renderNode = (node, depth) => {
+        const indent = '    '.repeat(depth);
+        const lines = [`${indent}<DL><p>`];
+        node.entries.forEach(({ name, folder, bookmark }) => {
+            if (folder) {
+                lines.push(`${indent}    <DT><H3>${escapeHtml(name)}</H3>`);
+                lines.push(...renderNode(folder, depth + 1));
+                return;
+            }
+            const addDate = bookmark.addedAt ? ` ADD_DATE="${Math.floor(bookmark.addedAt.getTime() / 1000)}"` : '';
+            const tags = bookmark.tags?.length ? ` TAGS="${escapeHtml(bookmark.tags.join(','))}"` : '';
+            lines.push(`${indent}    <DT><A HREF="${escapeHtml(bookmark.url)}"${addDate}${tags}>${escapeHtml(bookmark.name)}</A>`);
+        });
+        lines.push(`${indent}</DL><p>`);
+        return lines;
+    };
+
+    return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file. -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        ...renderNode(root, 0),
+        '',
+    ].join('\n');
+};
+
+/**
+ * Serializes bookmarks to the JSON format read by parseJsonBookmarks.
+ * @param {Array<{name: string, url: string, folder?: string, tags?: string[], addedAt?: Date|null}>} bookmarks
+ * @returns {string}
+ */
+export const exportJsonBookmarks = (bookmarks) => JSON.stringify({
+    bookmarks: bookmarks.map(bookmark => ({
+        name: bookmark.name,
+        url: bookmark.url,
+        folder: bookmark.folder || '',
+        tags: bookmark.tags || [],
+        addedAt: bookmark.addedAt ? bookmark.addedAt.toISOString() : null,
+    })),
+}, null, 2);
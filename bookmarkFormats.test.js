@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { exportNetscapeBookmarks, exportJsonBookmarks, parseBookmarkFile } from './bookmarkFormats';
+
+const BOOKMARKS = [
+    { name: 'Top first', url: 'https://example.com/top-1', folder: '', tags: [], addedAt: new Date('2024-01-01T00:00:00Z') },
+    { name: 'Zebra', url: 'https://example.com/z', folder: 'Work', tags: ['b', 'a'], addedAt: null },
+    { name: 'Apple', url: 'https://example.com/a', folder: 'Work', tags: [], addedAt: null },
+    { name: 'Deep', url: 'https://example.com/deep', folder: 'Work/Projects', tags: [], addedAt: null },
+    { name: 'Last in work', url: 'https://example.com/work-last', folder: 'Work', tags: [], addedAt: null },
+    { name: 'Alpha', url: 'https://example.com/alpha', folder: 'Alpha', tags: [], addedAt: null },
+    { name: 'Top last', url: 'https://example.com/top-2', folder: '', tags: ['x'], addedAt: new Date('2024-02-01T00:00:00Z') },
+];
+
+describe('bookmark export and import', () => {
+    it('reads back an HTML export in the original order', () => {
+        const { format, bookmarks } = parseBookmarkFile('bookmarks.html', exportNetscapeBookmarks(BOOKMARKS));
+        expect(format).toBe('html');
+        expect(bookmarks).toEqual(BOOKMARKS);
+    });
+
+    it('reads back a JSON export in the original order', () => {
+        const { format, bookmarks } = parseBookmarkFile('bookmarks.json', exportJsonBookmarks(BOOKMARKS));
+        expect(format).toBe('json');
+        expect(bookmarks).toEqual(BOOKMARKS);
+    });
+
+    it('escapes names and URLs in HTML', () => {
+        const tricky = [{ name: 'Tom & "Jerry" <3', url: 'https://example.com/?a=1&b=2', folder: 'R&D', tags: [], addedAt: null }];
+        expect(parseBookmarkFile('bookmarks.html', exportNetscapeBookmarks(tricky)).bookmarks).toEqual(tricky);
+    });
+});
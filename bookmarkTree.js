@@ -0,0 +1,89 @@
+/**
+ * Folder and tag helpers for bookmarks.
+ * A bookmark's `folder` is a '/'-separated path ('' for the top level) and
+ * `tags` is an array of lower-case labels.
+ */
+
+/**
+ * Cleans up a user-entered folder path: trims each segment and drops empty ones.
+ * @param {string} folder - e.g. ' Dev / Tools/ '
+ * @returns {string} e.g. 'Dev/Tools'
+ */
+export const normalizeFolder = (folder) => (folder || '')
+    .split('/')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join('/');
+
+/**
+ * Turns a comma-separated tag string (or array) into unique lower-case tags.
+ * @param {string|string[]} tags
+ * @returns {string[]}
+ */
+export const parseTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : (tags || '').split(',');
+    return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Whether a bookmark folder lies inside (or is) the given folder path.
+ * @param {string} folder - Bookmark folder.
+ * @param {string|null} parent - Folder to test against; null matches everything.
+ * @returns {boolean}
+ */
+export const isInFolder = (folder, parent) => {
+    if (parent === null) return true;
+    if (parent === '') return !folder;
+    return folder === parent || (folder || '').startsWith(`${parent}/`);
+};
+
+/**
+ * Builds a folder tree from the bookmarks' folder paths.
+ * Each node is { name, path, count, children } where `count` includes subfolders.
+ * @param {Array<{folder?: string}>} bookmarks
+ * @returns {{name: string, path: string, count: number, children: Array}}
+ */
+export const buildFolderTree = (bookmarks) => {
+    const root = { name: '', path: '', count: 0, children: new Map() };
+
+    bookmarks.forEach((bookmark) => {
+        root.count += 1;
+        let node = root;
+        normalizeFolder(bookmark.folder).split('/').filter(Boolean).forEach((name) => {
+            if (!node.children.has(name)) {
+                const path = node.path ? `${node.path}/${name}` : name;
+                node.children.set(name, { name, path, count: 0, children: new Map() });
+            }
+            node = node.children.get(name);
+            node.count += 1;
+        });
+    });
+
+    const toArrays = node => ({
+        ...node,
+        children: [...node.children.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(toArrays),
+    });
+    return toArrays(root);
+};
+
+/**
+ * Lists every folder path in the tree, parents before children.
+ * @param {{path: string, children: Array}} tree - Result of buildFolderTree.
+ * @returns {string[]}
+ */
+export const listFolders = tree => tree.children.flatMap(child => [child.path, ...listFolders(child)]);
+
+/**
+ * Counts how many bookmarks use each tag, sorted by frequency then name.
+ * @param {Array<{tags?: string[]}>} bookmarks
+ * @returns {Array<{tag: string, count: number}>}
+ */
+export const countTags = (bookmarks) => {
+    const counts = new Map();
+    bookmarks.forEach(bookmark => (bookmark.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
@@ -0,0 +1,118 @@
+/**
+ * URL helpers for bookmarks: validation, normalization on save and duplicate detection.
+ * Only http(s) links are stored, so a bookmark's URL is always safe to use as a link target.
+ */
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = /^(utm_[a-z_]+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid)$/i;
+
+/**
+ * Parses a URL the way it would be stored, or returns null if it is not a usable http(s) link.
+ * A missing scheme is taken as https, so 'example.com/docs' is accepted.
+ * @param {string} input
+ * @returns {URL|null}
+ */
+const parseHttpUrl = (input) => {
+    const text = String(input ?? '').trim();
+    if (!text) return null;
+    const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`;
+    try {
+        const url = new URL(withScheme);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname ? url : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Normalizes a bookmark URL for saving: lower-case scheme and host and no default port (both
+ * done by URL parsing), no trailing slash after the path, and no tracking parameters.
+ * @param {string} input
+ * @returns {string|null} The normalized URL, or null when the input is not a valid http(s) URL.
+ */
+export const normalizeUrl = (input) => {
+    const url = parseHttpUrl(input);
+    if (!url) return null;
+
+    [...url.searchParams.keys()]
+        .filter(key => TRACKING_PARAMS.test(key))
+        .forEach(key => url.searchParams.delete(key));
+    if ([...url.searchParams.keys()].length === 0) url.search = '';
+    if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    return url.href;
+};
+
+/**
+ * Key under which two URLs count as the same page: the normalized URL, ignoring http vs https
+ * and a leading 'www.'. Invalid URLs are compared as typed.
+ * @param {string} input
+ * @returns {string}
+ */
+export const urlKey = (input) => {
+    const normalized = normalizeUrl(input);
+    if (!normalized) return String(input ?? '').trim();
+    const url = new URL(normalized);
+    return `${url.hostname.replace(/^www\./, '')}${url.port ? `:${url.port}` : ''}${url.pathname}${url.search}${url.hash}`;
+};
+
+/**
+ * The host name of a stored URL for display, or null if the URL cannot be parsed.
+ * @param {string} input
+ * @returns {string|null}
+ */
+export const hostnameOf = input => parseHttpUrl(input)?.hostname ?? null;
+
+/**
+ * An absolute http(s) URL as given, e.g. a favicon from the link service, or null for anything
+ * else: unlike stored bookmark URLs, no scheme is assumed, so relative paths are refused too.
+ * @param {string} input
+ * @returns {string|null}
+ */
+export const httpUrlOf = (input) => {
+    try {
+        const url = new URL(String(input ?? '').trim());
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Groups bookmarks that point at the same page.
+ * @param {Array<{id: string, url: string}>} bookmarks
+ * @returns {Array<Array<object>>} Groups of two or more bookmarks, oldest first within each group.
+ */
+export const findDuplicateGroups = (bookmarks) => {
+    const groups = new Map();
+    bookmarks.forEach((bookmark) => {
+        const key = urlKey(bookmark.url);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(bookmark);
+    });
+    const addedTime = bookmark => (bookmark.addedAt instanceof Date ? bookmark.addedAt.getTime() : Infinity);
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => [...group].sort((a, b) => addedTime(a) - addedTime(b)));
+};
+
+/**
+ * Plans merging a group of duplicates into its first (oldest) bookmark: the survivor keeps its
+ * name and gains every tag, the normalized URL, and a folder, description or favicon it lacked.
+ * @param {Array<{id: string, url: string, folder?: string, tags?: string[]}>} group
+ * @returns {{keepId: string, patch: object, removeIds: string[]}}
+ */
+export const planMerge = (group) => {
+    const [keep, ...rest] = group;
+    return {
+        keepId: keep.id,
+        patch: {
+            url: normalizeUrl(keep.url) || keep.url,
+            folder: keep.folder || rest.find(b => b.folder)?.folder || '',
+            tags: [...new Set(group.flatMap(b => b.tags || []))],
+            description: keep.description || rest.find(b => b.description)?.description || '',
+            favicon: keep.favicon || rest.find(b => b.favicon)?.favicon || '',
+        },
+        removeIds: rest.map(b => b.id),
+    };
+};
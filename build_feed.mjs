@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+// build_feed.mjs
+// Writes a static Atom, RSS 2.0 or JSON Feed file of the public blog posts.
+//
+// Usage:
+//   node build_feed.mjs --site-url URL [--format atom|rss|json] [--out FILE]
+//                       (--input posts.json | --config firebase-config.json --app-id ID)
+//                       [--title TEXT] [--description TEXT] [--feed-url URL] [--limit N]
+//
+// --input reads a JSON file holding either an array of posts or { posts, profiles }, where
+// profiles maps user ids to { displayName }. Otherwise the posts are read from Firestore with
+// the web app's Firebase config, signed in anonymously like the app.
+// Post bodies are published as their Markdown text: sanitizing rendered HTML needs a browser DOM.
+// Needs Node 20.19 or later. --input runs without any packages; --config needs the firebase
+// package from package.json (npm install).
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { buildFeed } from './feed.js';
+import { routes } from './routes.js';
+
+const { values: args } = parseArgs({
+    options: {
+        'site-url': { type: 'string' },
+        format: { type: 'string', default: 'atom' },
+        out: { type: 'string' },
+        input: { type: 'string' },
+        config: { type: 'string' },
+        'app-id': { type: 'string' },
+        title: { type: 'string', default: 'Kalari' },
+        description: { type: 'string', default: 'Store of Knowledge' },
+        'feed-url': { type: 'string' },
+        limit: { type: 'string', default: '20' },
+    },
+});
+
+const fail = (message) => {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+};
+
+/**
+ * Reads posts and author profiles from an exported JSON file.
+ */
+const readInput = async (fileName) => {
+    const data = JSON.parse(await readFile(fileName, 'utf8'));
+    return Array.isArray(data) ? { posts: data, profiles: {} } : { posts: data.posts || [], profiles: data.profiles || {} };
+};
+
+/**
+ * Reads the newest posts and all profiles from Firestore.
+ */
+const readFirestore = async (configFile, appId, limit) => {
+    // Loaded here so --input works without the Firebase SDK installed
+    const { initializeApp } = await import('firebase/app');
+    const { getAuth, signInAnonymously } = await import('firebase/auth');
+    const { getFirestore, terminate } = await import('firebase/firestore');
+    const { createFirestoreStorage } = await import('./storage.js');
+
+    const app = initializeApp(JSON.parse(await readFile(configFile, 'utf8')));
+    await signInAnonymously(getAuth(app));
+    const db = getFirestore(app);
+    const storage = createFirestoreStorage(db, appId);
+
+    try {
+        // The rules only let readers query posts up to the current time, which leaves out scheduled
+        // ones; the bound stays a little behind in case this machine's clock runs fast
+        const publishedUntil = new Date(Date.now() - 2 * 60 * 1000);
+        const posts = await storage.posts().list({ where: [['timestamp', '<=', publishedUntil]], orderBy: ['timestamp', 'desc'], limit });
+        const profiles = Object.fromEntries((await storage.profiles().list({})).map(profile => [profile.id, profile]));
+        return { posts, profiles };
+    } finally {
+        await terminate(db);
+    }
+};
+
+const main = async () => {
+    if (!args['site-url']) fail('--site-url is required.');
+    if (!args.input && !(args.config && args['app-id'])) fail('Give --input, or --config and --app-id.');
+
+    const limit = Number.parseInt(args.limit, 10);
+    if (!(limit > 0)) fail('--limit must be a positive number.');
+
+    const siteUrl = new URL(args['site-url']).href;
+    const { posts, profiles } = args.input
+        ? await readInput(args.input)
+        : await readFirestore(args.config, args['app-id'], limit);
+
+    const feed = buildFeed(posts, {
+        format: args.format,
+        title: args.title,
+        description: args.description,
+        siteUrl,
+        feedUrl: args['feed-url'],
+        limit,
+        link: post => new URL(routes.post(post.id), siteUrl).href,
+        authorName: post => profiles[post.authorId]?.displayName || post.authorId,
+    });
+
+    const out = args.out || `feed.${feed.extension}`;
+    await writeFile(out, feed.body);
+    console.log(`Wrote ${out}`);
+};
+
+main().then(() => process.exit(0), (error) => fail(error.message));
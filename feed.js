@@ -0,0 +1,147 @@
+/**
+ * Feed documents (Atom, RSS 2.0 and JSON Feed) for the public blog posts.
+ * Has no imports, so the app and the standalone build_feed.mjs script share it.
+ *
+ * Posts are the stored documents: { id, title, content, authorId, timestamp, updatedAt?, publishAt? }.
+ * Dates may be Date objects or ISO strings. Scheduled posts are left out until their publish time.
+ */
+
+export const FEED_FORMATS = {
+    atom: { mimeType: 'application/atom+xml', extension: 'atom' },
+    rss: { mimeType: 'application/rss+xml', extension: 'rss' },
+    json: { mimeType: 'application/feed+json', extension: 'json' },
+};
+
+const toDate = (value) => {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = value => String(value ?? '')
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Picks the posts for a feed: published ones only, newest first.
+ */
+const feedEntries = (posts, { now, limit, link, authorName }) => posts
+    .map((post) => {
+        const published = toDate(post.timestamp);
+        return {
+            post,
+            published,
+            updated: toDate(post.updatedAt) || published,
+            publishAt: toDate(post.publishAt),
+        };
+    })
+    .filter(entry => entry.published && (!entry.publishAt || entry.publishAt <= now))
+    .sort((a, b) => b.published - a.published)
+    .slice(0, limit)
+    .map(entry => ({ ...entry, link: link(entry.post), author: authorName(entry.post) }));
+
+const buildAtom = (entries, options) => {
+    const updated = entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), entries[0]?.updated || options.now);
+    const contentType = options.renderHtml ? 'html' : 'text';
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <title>${escapeXml(options.title)}</title>`,
+        options.description && `  <subtitle>${escapeXml(options.description)}</subtitle>`,
+        `  <id>${escapeXml(options.siteUrl)}</id>`,
+        `  <link href="${escapeXml(options.siteUrl)}"/>`,
+        options.feedUrl && `  <link rel="self" type="${FEED_FORMATS.atom.mimeType}" href="${escapeXml(options.feedUrl)}"/>`,
+        `  <updated>${updated.toISOString()}</updated>`,
+        '  <generator>Kalari</generator>',
+        ...entries.map(({ post, published, updated: entryUpdated, link, author }) => [
+            '  <entry>',
+            `    <title>${escapeXml(post.title)}</title>`,
+            `    <id>${escapeXml(link)}</id>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+            `    <published>${published.toISOString()}</published>`,
+            `    <updated>${entryUpdated.toISOString()}</updated>`,
+            `    <author><name>${escapeXml(author)}</name></author>`,
+            `    <content type="${contentType}">${escapeXml(options.renderHtml ? options.renderHtml(post.content) : post.content)}</content>`,
+            '  </entry>',
+        ].join('\n')),
+        '</feed>',
+        '',
+    ].filter(Boolean).join('\n');
+};
+
+const buildRss = (entries, options) => [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(options.title)}</title>`,
+    `    <link>${escapeXml(options.siteUrl)}</link>`,
+    `    <description>${escapeXml(options.description || options.title)}</description>`,
+    options.feedUrl && `    <atom:link rel="self" type="${FEED_FORMATS.rss.mimeType}" href="${escapeXml(options.feedUrl)}"/>`,
+    `    <lastBuildDate>${options.now.toUTCString()}</lastBuildDate>`,
+    '    <generator>Kalari</generator>',
+    ...entries.map(({ post, published, link, author }) => [
+        '    <item>',
+        `      <title>${escapeXml(post.title)}</title>`,
+        `      <link>${escapeXml(link)}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(link)}</guid>`,
+        `      <pubDate>${published.toUTCString()}</pubDate>`,
+        `      <dc:creator>${escapeXml(author)}</dc:creator>`,
+        // RSS has no way to mark the description as plain text, so text is escaped once more to show literally
+        `      <description>${escapeXml(options.renderHtml ? options.renderHtml(post.content) : escapeXml(post.content))}</description>`,
+        '    </item>',
+    ].join('\n')),
+    '  </channel>',
+    '</rss>',
+    '',
+].filter(Boolean).join('\n');
+
+const buildJsonFeed = (entries, options) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: options.title,
+    home_page_url: options.siteUrl,
+    ...(options.feedUrl && { feed_url: options.feedUrl }),
+    ...(options.description && { description: options.description }),
+    items: entries.map(({ post, published, updated, link, author }) => ({
+        id: link,
+        url: link,
+        title: post.title,
+        ...(options.renderHtml ? { content_html: options.renderHtml(post.content) } : { content_text: post.content }),
+        date_published: published.toISOString(),
+        ...(updated > published && { date_modified: updated.toISOString() }),
+        authors: [{ name: author }],
+    })),
+}, null, 2);
+
+/**
+ * Builds a feed document from blog posts.
+ * @param {Array<object>} posts
+ * @param {object} options
+ * @param {'atom'|'rss'|'json'} options.format
+ * @param {string} options.title - Feed title.
+ * @param {string} options.siteUrl - Address of the app, used as the feed's home page and id.
+ * @param {function(object): string} options.link - Permalink of a post.
+ * @param {function(object): string} [options.authorName] - Author shown for a post; defaults to its authorId.
+ * @param {function(string): string} [options.renderHtml] - Turns Markdown into safe HTML. Without it
+ *   the Markdown source is published as plain text.
+ * @param {string} [options.description]
+ * @param {string} [options.feedUrl] - Where the feed itself will be published.
+ * @param {number} [options.limit=20] - Most recent posts to include.
+ * @param {Date} [options.now] - Posts scheduled after this time are left out.
+ * @returns {{body: string, mimeType: string, extension: string}}
+ */
+export const buildFeed = (posts, { format, limit = 20, now = new Date(), authorName = post => post.authorId, ...options }) => {
+    if (!FEED_FORMATS[format]) throw new Error(`Unknown feed format '${format}'. Use atom, rss or json.`);
+
+    const settings = { ...options, now };
+    const entries = feedEntries(posts, { now, limit, link: options.link, authorName });
+    const build = { atom: buildAtom, rss: buildRss, json: buildJsonFeed }[format];
+    return { body: build(entries, settings), ...FEED_FORMATS[format] };
+};
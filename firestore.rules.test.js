@@ -0,0 +1,193 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import {
+    doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, collection, query, where, orderBy, serverTimestamp, increment, Timestamp, writeBatch,
+} from 'firebase/firestore';
+
+// Needs the Firestore emulator (npm run test:emulators); skipped without it.
+const POSTS = 'artifacts/test-app/public/data/blog_posts';
+const HOUR_MS = 60 * 60 * 1000;
+
+const past = () => Timestamp.fromMillis(Date.now() - HOUR_MS);
+const future = () => Timestamp.fromMillis(Date.now() + HOUR_MS);
+const post = (authorId, fields) => ({ title: 'Title', content: 'Text', authorId, ...fields });
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+    let testEnv;
+    const as = uid => testEnv.authenticatedContext(uid).firestore();
+    const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'kalari-rules-test',
+            firestore: { rules: readFileSync(new URL('./firestore.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    afterAll(() => testEnv?.cleanup());
+
+    beforeEach(() => testEnv.clearFirestore());
+
+    describe('blog posts', () => {
+        it('stamps an unscheduled post with the server time', async () => {
+            await assertSucceeds(setDoc(doc(as('alice'), POSTS, 'now'), post('alice', { timestamp: serverTimestamp() })));
+            await assertFails(setDoc(doc(as('alice'), POSTS, 'backdated'), post('alice', { timestamp: past() })));
+        });
+
+        it('stamps a scheduled post with its publish time', async () => {
+            const publishAt = future();
+            await assertSucceeds(setDoc(doc(as('alice'), POSTS, 'scheduled'), post('alice', { timestamp: publishAt, publishAt })));
+            await assertFails(setDoc(doc(as('alice'), POSTS, 'mismatched'), post('alice', { timestamp: serverTimestamp(), publishAt: future() })));
+            await assertFails(setDoc(doc(as('alice'), POSTS, 'backdated'), post('alice', { timestamp: past(), publishAt: past() })));
+        });
+
+        it('hides a scheduled post from everyone but its author', async () => {
+            const publishAt = future();
+            await seed(`${POSTS}/scheduled`, post('alice', { timestamp: publishAt, publishAt }));
+            await seed(`${POSTS}/published`, post('alice', { timestamp: past() }));
+
+            await assertSucceeds(getDoc(doc(as('alice'), POSTS, 'scheduled')));
+            await assertFails(getDoc(doc(as('bob'), POSTS, 'scheduled')));
+            await assertSucceeds(getDoc(doc(as('bob'), POSTS, 'published')));
+        });
+
+        it('lets other readers query posts only up to now', async () => {
+            const posts = collection(as('bob'), POSTS);
+            await assertFails(getDocs(query(posts, orderBy('timestamp', 'desc'))));
+            await assertSucceeds(getDocs(query(posts, where('timestamp', '<=', past()), orderBy('timestamp', 'desc'))));
+            await assertSucceeds(getDocs(query(collection(as('alice'), POSTS), where('authorId', '==', 'alice'))));
+        });
+
+        it('does not let the author move a post in time', async () => {
+            await seed(`${POSTS}/p1`, post('alice', { timestamp: past() }));
+
+            await assertSucceeds(updateDoc(doc(as('alice'), POSTS, 'p1'), { title: 'Edited', updatedAt: serverTimestamp() }));
+            await assertFails(updateDoc(doc(as('alice'), POSTS, 'p1'), { timestamp: future() }));
+            await assertFails(updateDoc(doc(as('alice'), POSTS, 'p1'), { publishAt: future() }));
+        });
+    });
+
+    describe('deleting a post', () => {
+        it('lets the author delete the post with its comments and revisions', async () => {
+            await seed(`${POSTS}/p1`, post('alice', { timestamp: past() }));
+            await seed(`${POSTS}/p1/comments/c1`, { authorId: 'bob', parentId: null, content: 'Hi', timestamp: past() });
+            await seed(`${POSTS}/p1/revisions/r1`, { title: 'Title', content: 'Text', authorId: 'alice', timestamp: past() });
+
+            // As handlePostDelete does: the subcollections first, while the post still names its author
+            await assertFails(deleteDoc(doc(as('carol'), POSTS, 'p1', 'comments', 'c1')));
+            await assertSucceeds(deleteDoc(doc(as('alice'), POSTS, 'p1', 'comments', 'c1')));
+            await assertSucceeds(deleteDoc(doc(as('alice'), POSTS, 'p1', 'revisions', 'r1')));
+            await assertFails(deleteDoc(doc(as('bob'), POSTS, 'p1')));
+            await assertSucceeds(deleteDoc(doc(as('alice'), POSTS, 'p1')));
+
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                expect((await getDocs(collection(db, POSTS, 'p1', 'comments'))).empty).toBe(true);
+                expect((await getDocs(collection(db, POSTS, 'p1', 'revisions'))).empty).toBe(true);
+            });
+        });
+    });
+
+    describe('revisions', () => {
+        const revision = (postId, id) => `${POSTS}/${postId}/revisions/${id}`;
+
+        it('hides the revisions of a scheduled post like the post itself', async () => {
+            const publishAt = future();
+            await seed(`${POSTS}/scheduled`, post('alice', { timestamp: publishAt, publishAt }));
+            await seed(revision('scheduled', 'r1'), { title: 'Title', content: 'Secret', authorId: 'alice', timestamp: past() });
+
+            await assertSucceeds(getDoc(doc(as('alice'), revision('scheduled', 'r1'))));
+            await assertFails(getDoc(doc(as('bob'), revision('scheduled', 'r1'))));
+            await assertFails(getDocs(collection(as('bob'), `${POSTS}/scheduled/revisions`)));
+        });
+
+        it('lets only the author delete revisions, and hides them once the post is gone', async () => {
+            await seed(`${POSTS}/p1`, post('alice', { timestamp: past() }));
+            await seed(revision('p1', 'r1'), { title: 'Title', content: 'Text', authorId: 'alice', timestamp: past() });
+            await seed(revision('p1', 'r2'), { title: 'Title', content: 'Text', authorId: 'alice', timestamp: past() });
+
+            await assertSucceeds(getDoc(doc(as('bob'), revision('p1', 'r1'))));
+            await assertFails(deleteDoc(doc(as('bob'), revision('p1', 'r1'))));
+            await assertSucceeds(deleteDoc(doc(as('alice'), revision('p1', 'r1'))));
+
+            await testEnv.withSecurityRulesDisabled(context => deleteDoc(doc(context.firestore(), POSTS, 'p1')));
+            await assertFails(getDoc(doc(as('bob'), revision('p1', 'r2'))));
+        });
+    });
+
+    describe('comment counter', () => {
+        const comment = (db, id) => doc(db, POSTS, 'p1', 'comments', id);
+        const counter = (batch, db, by, lastCommentId) => batch.update(doc(db, POSTS, 'p1'), { commentCount: increment(by), lastCommentId });
+
+        it('counts a comment up only in the batch that creates it', async () => {
+            await seed(`${POSTS}/p1`, post('alice', { timestamp: past(), commentCount: 1 }));
+            await seed(`${POSTS}/p1/comments/c0`, { authorId: 'carol', parentId: null, content: 'Earlier', timestamp: past() });
+            const db = as('bob');
+
+            const batch = writeBatch(db);
+            batch.set(comment(db, 'c1'), { authorId: 'bob', parentId: null, content: 'First', timestamp: serverTimestamp() });
+            counter(batch, db, 1, 'c1');
+            await assertSucceeds(batch.commit());
+
+            await assertFails(updateDoc(doc(db, POSTS, 'p1'), { commentCount: increment(1) }));
+            await assertFails(setDoc(comment(db, 'c2'), { authorId: 'bob', parentId: null, content: 'Uncounted', timestamp: serverTimestamp() }));
+            const misnamed = writeBatch(db);
+            misnamed.set(comment(db, 'c3'), { authorId: 'bob', parentId: null, content: 'Second', timestamp: serverTimestamp() });
+            counter(misnamed, db, 1, 'c0');
+            await assertFails(misnamed.commit());
+        });
+
+        it('counts a comment down when it is deleted or kept as a placeholder', async () => {
+            await seed(`${POSTS}/p1`, post('alice', { timestamp: past(), commentCount: 2 }));
+            await seed(`${POSTS}/p1/comments/c1`, { authorId: 'bob', parentId: null, content: 'First', timestamp: past() });
+            await seed(`${POSTS}/p1/comments/c2`, { authorId: 'bob', parentId: null, content: 'Second', timestamp: past() });
+            const db = as('bob');
+
+            await assertFails(updateDoc(doc(db, POSTS, 'p1'), { commentCount: increment(-1), lastCommentId: 'c1' }));
+            await assertFails(deleteDoc(comment(db, 'c1')));
+            await assertFails(updateDoc(comment(db, 'c1'), { content: '', deleted: true, updatedAt: serverTimestamp() }));
+
+            const blank = writeBatch(db);
+            blank.update(comment(db, 'c1'), { content: '', deleted: true, updatedAt: serverTimestamp() });
+            counter(blank, db, -1, 'c1');
+            await assertSucceeds(blank.commit());
+
+            const remove = writeBatch(db);
+            remove.delete(comment(db, 'c2'));
+            counter(remove, db, -1, 'c2');
+            await assertSucceeds(remove.commit());
+        });
+
+        it('removes a placeholder along with its last reply', async () => {
+            await seed(`${POSTS}/p1`, post('alice', { timestamp: past(), commentCount: 1 }));
+            await seed(`${POSTS}/p1/comments/c1`, { authorId: 'carol', parentId: null, content: '', deleted: true, timestamp: past() });
+            await seed(`${POSTS}/p1/comments/r1`, { authorId: 'bob', parentId: 'c1', content: 'Reply', timestamp: past() });
+            const db = as('bob');
+
+            await assertFails(deleteDoc(comment(db, 'c1')));
+
+            const batch = writeBatch(db);
+            batch.delete(comment(db, 'r1'));
+            batch.delete(comment(db, 'c1'));
+            counter(batch, db, -1, 'r1');
+            await assertSucceeds(batch.commit());
+        });
+
+        it('lets other readers move the counter only one step at a time', async () => {
+            await seed(`${POSTS}/p1`, post('alice', { timestamp: past(), commentCount: 2 }));
+            await seed(`${POSTS}/p1/comments/c1`, { authorId: 'bob', parentId: null, content: 'First', timestamp: past() });
+            const db = as('bob');
+
+            const twice = writeBatch(db);
+            twice.delete(comment(db, 'c1'));
+            counter(twice, db, -2, 'c1');
+            await assertFails(twice.commit());
+
+            const retitled = writeBatch(db);
+            retitled.delete(comment(db, 'c1'));
+            retitled.update(doc(db, POSTS, 'p1'), { commentCount: increment(-1), lastCommentId: 'c1', title: 'Mine' });
+            await assertFails(retitled.commit());
+        });
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Folder inventories: the CSV files written by save_folders_csv.sh, one row per directory.
+ *
+ *   foldername,date,size_bytes
+ *   "001_8m_1e","25-11-2025",52428800
+ *
+ * Older files (like out.csv) have no size_bytes column. Dates are DD-MM-YYYY as the script
+ * writes them. A parsed snapshot is { date, hasSizes, folders: [{ name, sizeBytes }] }, where
+ * `date` is an ISO 'YYYY-MM-DD' string and `sizeBytes` is null when the file has no sizes.
+ */
+
+const REQUIRED_COLUMNS = ['foldername', 'date'];
+const SIZE_COLUMN = 'size_bytes';
+// Keeps a snapshot well inside Firestore's 1 MiB document limit
+export const MAX_FOLDERS = 5000;
+
+/**
+ * Splits CSV text into records following RFC 4180: quoted fields may hold commas, line breaks
+ * and doubled quotes, and lines end in CRLF or LF. A leading byte order mark is ignored.
+ * @param {string} text
+ * @returns {Array<{line: number, fields: string[]}>} Records with the line each one starts on.
+ *   Blank lines are skipped.
+ * @throws {Error} When a quoted field is never closed.
+ */
+export const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const records = [];
+    let fields = [];
+    let field = '';
+    let line = 1;
+    let recordLine = 1;
+    let quoted = false;
+    let quoteLine = 0;
+    let i = 0;
+
+    const endRecord = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') records.push({ line: recordLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    while (i < input.length) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            endRecord();
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+        i++;
+    }
+    if (quoted) throw new Error(`Line ${quoteLine}: a quoted field is never closed.`);
+    if (field !== '' || fields.length > 0) endRecord();
+    return records;
+};
+
+/**
+ * Reads a DD-MM-YYYY date as an ISO 'YYYY-MM-DD' string, or null if it is not a real date.
+ */
+const parseInventoryDate = (value) => {
+    const match = value.trim().match(/^(\d{2})-(\d{2})-(\d{4})$/);
+    if (!match) return null;
+    const [, day, month, year] = match;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) return null;
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parses a folder inventory CSV. Rows with problems are left out and reported, so one bad
+ * line does not block the import; a missing or unexpected header rejects the whole file.
+ * @param {string} text
+ * @returns {{date: string|null, hasSizes: boolean, folders: Array<{name: string, sizeBytes: number|null}>,
+ *   errors: Array<{line: number, message: string}>}} `date` is null when no row is valid.
+ * @throws {Error} When the header is not `foldername,date[,size_bytes]` or the file is not valid CSV.
+ */
+export const parseFolderInventory = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header?.fields || []).map(name => name.trim().toLowerCase());
+    const hasSizes = columns.length === 3 && columns[2] === SIZE_COLUMN;
+    if (columns.length < 2 || REQUIRED_COLUMNS.some((name, index) => columns[index] !== name) || (columns.length > 2 && !hasSizes)) {
+        throw new Error(`Expected the header 'foldername,date' or 'foldername,date,size_bytes', found '${columns.join(',')}'.`);
+    }
+
+    const folders = [];
+    const errors = [];
+    const seen = new Set();
+    let date = null;
+
+    rows.forEach(({ line, fields }) => {
+        const fail = message => errors.push({ line, message });
+        if (fields.length !== columns.length) return fail(`Expected ${columns.length} fields, found ${fields.length}.`);
+
+        const name = fields[0].trim();
+        if (!name) return fail('The folder name is empty.');
+        if (seen.has(name)) return fail(`'${name}' is listed twice.`);
+
+        const rowDate = parseInventoryDate(fields[1]);
+        if (!rowDate) return fail(`'${fields[1]}' is not a DD-MM-YYYY date.`);
+        if (date && rowDate !== date) return fail(`The date ${fields[1]} differs from the rest of the file.`);
+
+        let sizeBytes = null;
+        if (hasSizes) {
+            if (!/^\d+$/.test(fields[2].trim())) return fail(`'${fields[2]}' is not a size in bytes.`);
+            sizeBytes = Number(fields[2]);
+        }
+        if (folders.length >= MAX_FOLDERS) return fail(`Only the first ${MAX_FOLDERS} folders are kept.`);
+
+        seen.add(name);
+        date = rowDate;
+        folders.push({ name, sizeBytes });
+    });
+
+    return { date, hasSizes, folders, errors };
+};
+
+const UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Formats a byte count in binary units, as du does: 1536 -> '1.5 KB'.
+ * @param {number|null} bytes
+ * @returns {string} '' when the size is unknown.
+ */
+export const formatBytes = (bytes) => {
+    if (bytes === null || bytes === undefined) return '';
+    let value = Math.abs(bytes);
+    let unit = 0;
+    while (value >= 1024 && unit < UNITS.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    const digits = unit === 0 || value >= 100 ? 0 : 1;
+    return `${bytes < 0 ? '-' : ''}${value.toFixed(digits)} ${UNITS[unit]}`;
+};
+
+/**
+ * Compares two snapshots folder by folder.
+ * @param {{folders: Array<{name: string, sizeBytes: number|null}>}} before - The older snapshot.
+ * @param {{folders: Array<{name: string, sizeBytes: number|null}>}} after - The newer snapshot.
+ * @returns {Array<{name: string, status: 'added'|'removed'|'grown'|'shrunk'|'same',
+ *   before: number|null, after: number|null, delta: number|null}>} One entry per folder in
+ *   either snapshot, sorted by name. Sizes are null where a snapshot has none.
+ */
+export const compareSnapshots = (before, after) => {
+    const older = new Map(before.folders.map(folder => [folder.name, folder.sizeBytes]));
+    const newer = new Map(after.folders.map(folder => [folder.name, folder.sizeBytes]));
+    const names = [...new Set([...older.keys(), ...newer.keys()])].sort((a, b) => a.localeCompare(b));
+
+    return names.map((name) => {
+        const sizeBefore = older.get(name) ?? null;
+        const sizeAfter = newer.get(name) ?? null;
+        const delta = sizeBefore !== null && sizeAfter !== null ? sizeAfter - sizeBefore : null;
+        let status = 'same';
+        if (!older.has(name)) status = 'added';
+        else if (!newer.has(name)) status = 'removed';
+        else if (delta > 0) status = 'grown';
+        else if (delta < 0) status = 'shrunk';
+        return { name, status, before: sizeBefore, after: sizeAfter, delta };
+    });
+};
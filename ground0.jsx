@@ -1,457 +1,3719 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, deleteDoc, onSnapshot, collection, query, addDoc, serverTimestamp } from 'firebase/firestore';
+import {
+    getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator,
+    EmailAuthProvider, linkWithCredential, signInWithEmailAndPassword, signOut,
+} from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
+import { renderMarkdown, markdownExcerpt } from './markdown';
+import { parseBookmarkFile, exportNetscapeBookmarks, exportJsonBookmarks } from './bookmarkFormats';
+import { normalizeFolder, parseTags, isInFolder, buildFolderTree, listFolders, countTags } from './bookmarkTree';
+import { normalizeUrl, urlKey, hostnameOf, httpUrlOf, findDuplicateGroups, planMerge } from './bookmarkUrl';
+import { createSearchIndex, findMatchRanges, makeSnippet } from './searchIndex';
+import { diffLines, collapseUnchanged } from './textDiff';
+import { parseFolderInventory, formatBytes, compareSnapshots } from './folderInventory';
+import { buildFeed } from './feed';
+import { useHashRoute, navigate, routes } from './router';
+import { notify, dismiss, hold, release, useNotifications } from './notifications';
+import { createFirestoreStorage, createLocalStorage, generateId, versionOf, paths, SERVER_TIME, increment } from './storage';
+import { createSyncedStorage, QUEUED } from './syncQueue';
 
 // --- Global Firebase Configuration (Mandatory Usage) ---
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// e.g. 'http://127.0.0.1:9099' to sign in against the Firebase Auth emulator
+const authEmulatorUrl = typeof __auth_emulator_url !== 'undefined' ? __auth_emulator_url : null;
+// e.g. 'http://127.0.0.1:8787' where link_service.mjs runs; enables link titles, favicons and link checks
+const linkServiceUrl = typeof __link_service_url !== 'undefined' ? __link_service_url : null;
 
-// Initial data from the user's uploaded bookmark file
+// --- Storage Backend ---
+// 'firestore', 'indexeddb' (local and persistent) or 'memory' (local, for tests).
+// Without a Firebase configuration the app runs as a purely local knowledge store.
+const storageBackend = typeof __storage_backend !== 'undefined'
+    ? __storage_backend
+    : (Object.keys(firebaseConfig).length > 0 ? 'firestore' : 'indexeddb');
+
+/**
+ * Returns a stable user id for the local backends, standing in for the Firebase uid.
+ */
+const getLocalUserId = () => {
+    if (typeof localStorage === 'undefined') return 'local-user';
+
+    let localUserId = localStorage.getItem('kalari-local-user');
+    if (!localUserId) {
+        localUserId = `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        localStorage.setItem('kalari-local-user', localUserId);
+    }
+    return localUserId;
+};
+
+// Starter bookmarks shown until the user saves or imports their own
 const initialBookmarksData = [
     { id: 'b1', name: 'Google', url: 'https://www.google.com/' },
     { id: 'b2', name: 'Reasoning Shortcut Tricks', url: 'https://www.anujjindal.in/project/nabard/' },
 ];
 
+// --- Link Service ---
+// URLs sent per request; the service accepts at most 50
+const LINK_CHECK_BATCH = 50;
+
+/**
+ * Asks the link service for the status, redirect target, title, description and favicon of each URL.
+ * @param {string[]} urls
+ * @returns {Promise<Array<object|null>>} The results in the order of `urls`. An entry may be
+ *   missing or null if the service left it out, so callers check each one.
+ */
+const fetchLinkMetadata = async (urls) => {
+    const response = await fetch(`${linkServiceUrl.replace(/\/+$/, '')}/metadata`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ urls }),
+    });
+    if (!response.ok) throw new Error(`Link service answered ${response.status}.`);
+    const { results } = await response.json();
+    return Array.isArray(results) ? results : [];
+};
+
+/**
+ * The stored outcome of checking a bookmark's link. A status of 0 means the site could not be reached.
+ */
+const linkCheckOf = (bookmark, result) => ({
+    linkStatus: result.status ?? 0,
+    linkError: result.error || '',
+    redirectUrl: result.ok && result.redirected && urlKey(result.finalUrl) !== urlKey(bookmark.url)
+        ? normalizeUrl(result.finalUrl) || ''
+        : '',
+});
+
+/**
+ * What the last link check found wrong with a bookmark, or null if nothing (or it was never checked).
+ */
+const linkProblemOf = (bookmark) => {
+    if (bookmark.linkStatus === undefined) return null;
+    if (bookmark.linkStatus === 0) return { kind: 'broken', label: 'Unreachable', detail: bookmark.linkError };
+    if (bookmark.linkStatus >= 400) return { kind: 'broken', label: `Broken (${bookmark.linkStatus})`, detail: `The server answered HTTP ${bookmark.linkStatus}.` };
+    if (bookmark.redirectUrl) return { kind: 'redirected', label: 'Redirects', detail: `Now at ${bookmark.redirectUrl}` };
+    return null;
+};
+
+/**
+ * Puts a deleted document back under its old id, for the Undo button of a delete notification.
+ * Fields the app adds while reading (`id`, `saved`, `pending`) are not stored.
+ */
+const restoreDeleted = async (collection, { id, saved, pending, ...data }, label) => {
+    try {
+        await collection.set(id, data);
+        notify.success(`Restored the ${label}.`);
+    } catch (error) {
+        console.error(`Error restoring ${label}: `, error);
+        notify.error(`Failed to restore the ${label}.`);
+    }
+};
+
+/**
+ * Deletes every document in a collection. Firestore keeps a document's subcollections when the
+ * document goes, so they are emptied first, while the rules can still check the parent.
+ */
+const removeAll = async (collection) => {
+    const items = await collection.list();
+    await Promise.all(items.map(item => collection.remove(item.id)));
+};
+
+/**
+ * Triggers a browser download of generated text content.
+ */
+const downloadFile = (fileName, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Converts a stored blog post into the shape used by the views.
+ * Dates stay Date objects; views format them for the reader's locale.
+ */
+const toPost = (post) => ({
+    ...post,
+    version: versionOf(post),
+});
+
+/**
+ * A post's history entry: the text as saved, who saved it and when.
+ */
+const revisionOf = (post, authorId) => ({
+    title: post.title,
+    content: post.content,
+    authorId,
+    timestamp: SERVER_TIME,
+});
+
+// --- Blog Feed ---
+// Newest first; scheduled posts carry their publish time as `timestamp`
+const FEED_ORDER = ['timestamp', 'desc'];
+const FEED_PAGE_SIZE = 10;
+// Other people's posts may only be queried up to the current time (see firestore.rules). The
+// bound trails this device's clock so a clock running fast does not get the query rejected,
+// and moves on every minute so new posts show up.
+const PUBLISHED_BOUND_LAG_MS = 2 * 60 * 1000;
+const PUBLISHED_BOUND_REFRESH_MS = 60 * 1000;
+const publishedBound = () => new Date(Date.now() - PUBLISHED_BOUND_LAG_MS);
+// Posts in a downloaded Atom, RSS or JSON feed
+const SYNDICATION_LIMIT = 20;
+
+// --- Drafts and Scheduling ---
+const emptyDraft = { title: '', content: '', publishAt: '' };
+
+// How long typing has to pause before the draft is saved
+const DRAFT_AUTOSAVE_DELAY = 1000;
+
+// Longest delay setTimeout accepts (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Whether a post is visible to everyone: it has no publish time, or that time has passed.
+ */
+const isPublished = (post, now) => !post.publishAt || post.publishAt <= now;
+
+/**
+ * Parses a `datetime-local` input value (local time) into a Date, or null when empty.
+ */
+const parsePublishAt = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Formats a Date as a `datetime-local` input value in local time.
+ */
+const toDateTimeLocal = (date) => {
+    if (!date) return '';
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// The editor fields a draft save compares, so unchanged text is not written again
+const draftSnapshot = value => JSON.stringify([value.title, value.content, value.publishAt]);
+
+/**
+ * Shapes a bookmark for the search index: the name ranks as title, URL, folder and tags as body.
+ */
+const bookmarkSearchDoc = (bookmark) => ({
+    type: 'bookmark',
+    id: bookmark.id,
+    title: bookmark.name,
+    body: [bookmark.url, bookmark.folder, ...(bookmark.tags || [])].filter(Boolean).join(' '),
+});
+
+/**
+ * Renders a post body written in Markdown. The HTML is sanitized by renderMarkdown.
+ */
+const MarkdownContent = ({ source }) => {
+    const html = useMemo(() => renderMarkdown(source), [source]);
+    return <div className="markdown-body text-gray-700 leading-relaxed" dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+// --- Profiles ---
+const emptyProfile = { displayName: '', avatarUrl: '', bio: '' };
+
+/**
+ * Name shown for a user: their profile's display name, or a short form of their id.
+ */
+const displayNameOf = (profile, userId) => profile?.displayName || `Anonymous ${String(userId).slice(0, 6)}`;
+
+/**
+ * Returns the avatar URL if it is a plain http(s) link, so profiles cannot inject other schemes.
+ */
+const safeAvatarUrl = (url) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol) ? url : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Round avatar image, or the first letter of the name when the profile has no usable avatar.
+ */
+const Avatar = ({ profile, userId, size = 'w-6 h-6 text-xs' }) => {
+    const url = safeAvatarUrl(profile?.avatarUrl);
+    if (url) return <img src={url} alt="" className={`${size} rounded-full object-cover inline-block`} />;
+    return (
+        <span className={`${size} rounded-full bg-blue-100 text-blue-700 font-semibold inline-flex items-center justify-center`}>
+            {displayNameOf(profile, userId).charAt(0).toUpperCase()}
+        </span>
+    );
+};
+
+/**
+ * Author link with avatar and display name, pointing at the author's profile page.
+ */
+const AuthorName = ({ userId, profile }) => (
+    <a href={routes.profile(userId)} className="inline-flex items-center gap-1 align-middle font-medium text-gray-700 hover:text-blue-600">
+        <Avatar profile={profile} userId={userId} />
+        {displayNameOf(profile, userId)}
+    </a>
+);
+
+/**
+ * Live comment thread under a post with one level of replies.
+ * Replying to a reply attaches to the same top-level comment. Only a comment's author may
+ * edit or delete it; a deleted comment that still has replies is kept as a placeholder until
+ * its last reply goes. Each comment is written in one batch with the post's comment counter,
+ * naming itself in `lastCommentId` so the security rules can match the two.
+ */
+const CommentThread = ({ storage, postId, userId, profiles }) => {
+    const [comments, setComments] = useState([]);
+    const [draft, setDraft] = useState('');
+    const [replyTo, setReplyTo] = useState(null); // top-level comment id
+    const [replyDraft, setReplyDraft] = useState('');
+    const [editing, setEditing] = useState(null); // { id, content }
+    const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.comments(postId).subscribe({ orderBy: ['timestamp', 'asc'] }, (items) => {
+            setComments(items);
+        }, (error) => {
+            console.error("Error listening to comments:", error);
+            notify.error("Failed to load comments.");
+        });
+
+        return () => unsubscribe();
+    }, [storage, postId]);
+
+    const topLevel = comments.filter(c => !c.parentId);
+    const repliesTo = parentId => comments.filter(c => c.parentId === parentId);
+
+    const addComment = async (content, parentId) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        if (!content.trim()) return notify.warning("Comment cannot be empty.");
+
+        try {
+            const commentId = generateId();
+            await storage.batch([
+                {
+                    path: paths.comments(postId),
+                    op: 'set',
+                    id: commentId,
+                    data: { authorId: userId, content: content.trim(), parentId, timestamp: SERVER_TIME },
+                },
+                { path: paths.posts(), op: 'update', id: postId, data: { commentCount: increment(1), lastCommentId: commentId } },
+            ]);
+            return true;
+        } catch (error) {
+            console.error("Error adding comment: ", error);
+            notify.error("Failed to add comment.");
+            return false;
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (await addComment(draft, null)) setDraft('');
+    };
+
+    const handleReplySubmit = async (e) => {
+        e.preventDefault();
+        if (await addComment(replyDraft, replyTo)) {
+            setReplyDraft('');
+            setReplyTo(null);
+        }
+    };
+
+    const handleEditSave = async (e) => {
+        e.preventDefault();
+        const comment = comments.find(c => c.id === editing.id);
+        if (!comment || comment.authorId !== userId) return notify.warning("Only the author can edit this comment.");
+        if (!editing.content.trim()) return notify.warning("Comment cannot be empty.");
+
+        try {
+            await storage.comments(postId).update(comment.id, { content: editing.content.trim(), updatedAt: SERVER_TIME });
+            setEditing(null);
+        } catch (error) {
+            console.error("Error updating comment: ", error);
+            notify.error("Failed to update comment.");
+        }
+    };
+
+    const handleDelete = async (comment) => {
+        if (comment.authorId !== userId) return notify.warning("Only the author can delete this comment.");
+
+        const path = paths.comments(postId);
+        const parent = comments.find(c => c.id === comment.parentId);
+        const writes = repliesTo(comment.id).length > 0
+            // Keep the thread readable: replies stay, the comment becomes a placeholder
+            ? [{ path, op: 'update', id: comment.id, data: { content: '', deleted: true, updatedAt: SERVER_TIME } }]
+            : [{ path, op: 'remove', id: comment.id }];
+        // A placeholder goes with its last reply; it was no longer counted
+        if (parent?.deleted && repliesTo(parent.id).length === 1) writes.push({ path, op: 'remove', id: parent.id });
+        // A placeholder no longer counts as a comment either
+        writes.push({ path: paths.posts(), op: 'update', id: postId, data: { commentCount: increment(-1), lastCommentId: comment.id } });
+
+        try {
+            await storage.batch(writes);
+            setPendingDeleteId(null);
+        } catch (error) {
+            console.error("Error deleting comment: ", error);
+            notify.error("Failed to delete comment.");
+        }
+    };
+
+    const renderComment = comment => (
+        <div className="py-3">
+            <p className="text-xs text-gray-500">
+                <AuthorName userId={comment.authorId} profile={profiles[comment.authorId]} /> · {comment.timestamp?.toLocaleString()}
+                {comment.updatedAt && !comment.deleted && <span className="italic"> (edited)</span>}
+            </p>
+            {editing?.id === comment.id ? (
+                <form onSubmit={handleEditSave} className="mt-2 space-y-2">
+                    <textarea
+                        rows="3"
+                        value={editing.content}
+                        onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+                        className="block w-full border-gray-300 border rounded-lg p-2 text-sm"
+                    ></textarea>
+                    <div className="flex gap-2">
+                        <button type="submit" className="text-xs px-3 py-1 bg-blue-600 text-white rounded">Save</button>
+                        <button type="button" onClick={() => setEditing(null)} className="text-xs px-3 py-1 bg-gray-200 text-gray-700 rounded">Cancel</button>
+                    </div>
+                </form>
+            ) : (
+                <p className={`mt-1 text-sm whitespace-pre-wrap ${comment.deleted ? 'italic text-gray-400' : 'text-gray-700'}`}>
+                    {comment.deleted ? 'This comment was deleted.' : comment.content}
+                </p>
+            )}
+            {!comment.deleted && editing?.id !== comment.id && (
+                <div className="flex items-center gap-3 mt-1 text-xs">
+                    <button
+                        onClick={() => { setReplyTo(comment.parentId || comment.id); setReplyDraft(''); }}
+                        className="text-blue-600 hover:underline"
+                    >
+                        Reply
+                    </button>
+                    {/* Edit and delete are only offered to the comment's author */}
+                    {comment.authorId === userId && (
+                        pendingDeleteId === comment.id ? (
+                            <>
+                                <span className="text-red-600">Delete this comment?</span>
+                                <button onClick={() => handleDelete(comment)} className="text-red-600 font-semibold hover:underline">Confirm</button>
+                                <button onClick={() => setPendingDeleteId(null)} className="text-gray-500 hover:underline">Cancel</button>
+                            </>
+                        ) : (
+                            <>
+                                <button onClick={() => setEditing({ id: comment.id, content: comment.content })} className="text-gray-500 hover:underline">Edit</button>
+                                <button onClick={() => setPendingDeleteId(comment.id)} className="text-red-500 hover:underline">Delete</button>
+                            </>
+                        )
+                    )}
+                </div>
+            )}
+        </div>
+    );
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-xl mt-6">
+            <h3 className="text-xl font-bold text-gray-800 mb-4">
+                <i className="fas fa-comments mr-2 text-blue-500"></i>Comments ({comments.filter(c => !c.deleted).length})
+            </h3>
+
+            {topLevel.length === 0 ? (
+                <p className="text-gray-500 italic text-sm">No comments yet. Start the discussion!</p>
+            ) : (
+                <ul className="divide-y divide-gray-100">
+                    {topLevel.map(comment => (
+                        <li key={comment.id}>
+                            {renderComment(comment)}
+                            {(repliesTo(comment.id).length > 0 || replyTo === comment.id) && (
+                                <div className="ml-6 pl-4 border-l-2 border-gray-100">
+                                    {repliesTo(comment.id).map(reply => (
+                                        <div key={reply.id}>{renderComment(reply)}</div>
+                                    ))}
+                                    {replyTo === comment.id && (
+                                        <form onSubmit={handleReplySubmit} className="py-2 space-y-2">
+                                            <textarea
+                                                rows="2"
+                                                value={replyDraft}
+                                                onChange={(e) => setReplyDraft(e.target.value)}
+                                                placeholder="Write a reply..."
+                                                className="block w-full border-gray-300 border rounded-lg p-2 text-sm"
+                                                autoFocus
+                                            ></textarea>
+                                            <div className="flex gap-2">
+                                                <button type="submit" className="text-xs px-3 py-1 bg-blue-600 text-white rounded">Reply</button>
+                                                <button type="button" onClick={() => setReplyTo(null)} className="text-xs px-3 py-1 bg-gray-200 text-gray-700 rounded">Cancel</button>
+                                            </div>
+                                        </form>
+                                    )}
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleSubmit} className="mt-4 space-y-2">
+                <textarea
+                    rows="3"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="Add a comment..."
+                    className="block w-full border-gray-300 border rounded-lg shadow-sm p-3 text-sm focus:ring-blue-500 focus:border-blue-500"
+                ></textarea>
+                <button
+                    type="submit"
+                    className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition duration-150 shadow-md"
+                >
+                    <i className="fas fa-comment mr-2"></i>Comment
+                </button>
+            </form>
+        </section>
+    );
+};
+
+/**
+ * Line diff between two revisions' text, with long unchanged stretches folded.
+ */
+const RevisionDiff = ({ before, after }) => {
+    const entries = useMemo(() => collapseUnchanged(diffLines(before.content, after.content)), [before, after]);
+    const lineStyle = {
+        added: 'bg-green-50 text-green-800',
+        removed: 'bg-red-50 text-red-800',
+        same: 'text-gray-600',
+    };
+    const marker = { added: '+', removed: '-', same: ' ' };
+
+    return (
+        <div className="mt-3 border border-gray-200 rounded-lg overflow-x-auto text-xs font-mono">
+            {before.title !== after.title && (
+                <div className="px-3 py-2 border-b border-gray-200 bg-gray-50 font-sans text-sm">
+                    Title: <span className="line-through text-red-700">{before.title}</span> <i className="fas fa-arrow-right mx-1 text-gray-400"></i> <span className="text-green-700">{after.title}</span>
+                </div>
+            )}
+            {entries.every(entry => entry.type === 'same' || entry.type === 'skipped') ? (
+                <p className="px-3 py-2 font-sans text-gray-500 italic">The content is identical.</p>
+            ) : (
+                <table className="w-full">
+                    <tbody>
+                        {entries.map((entry, index) => (entry.type === 'skipped' ? (
+                            <tr key={index} className="bg-gray-50 text-gray-400">
+                                <td colSpan="4" className="px-3 py-1 font-sans italic">{entry.count} unchanged line{entry.count === 1 ? '' : 's'}</td>
+                            </tr>
+                        ) : (
+                            <tr key={index} className={lineStyle[entry.type]}>
+                                <td className="w-10 px-2 text-right text-gray-400 select-none">{entry.oldLine ?? ''}</td>
+                                <td className="w-10 px-2 text-right text-gray-400 select-none">{entry.newLine ?? ''}</td>
+                                <td className="w-4 select-none">{marker[entry.type]}</td>
+                                <td className="pr-3 whitespace-pre-wrap break-all">{entry.text}</td>
+                            </tr>
+                        )))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+/**
+ * History panel under a post: every saved revision, newest first, a diff between any two, and
+ * (for the author) restoring an older one, which saves it again as the newest revision.
+ */
+const RevisionHistory = ({ storage, postId, isAuthor, profiles, onRestore }) => {
+    const [open, setOpen] = useState(false);
+    const [revisions, setRevisions] = useState([]);
+    const [compare, setCompare] = useState({ from: null, to: null }); // revision ids; null picks a default
+    const [pendingRestoreId, setPendingRestoreId] = useState(null);
+
+    useEffect(() => {
+        if (!storage) return;
+
+        const unsubscribe = storage.revisions(postId).subscribe({ orderBy: ['timestamp', 'desc'] }, (items) => {
+            setRevisions(items);
+        }, (error) => {
+            console.error("Error listening to revisions:", error);
+            notify.error("Failed to load the post history.");
+        });
+
+        return () => unsubscribe();
+    }, [storage, postId]);
+
+    // By default compare the newest revision with the one before it
+    const to = revisions.find(r => r.id === compare.to) || revisions[0];
+    const from = revisions.find(r => r.id === compare.from) || revisions[revisions.indexOf(to) + 1];
+
+    const describe = revision => `${revision.timestamp?.toLocaleString()} · ${displayNameOf(profiles[revision.authorId], revision.authorId)}`;
+
+    const handleRestore = async (revision) => {
+        setPendingRestoreId(null);
+        if (await onRestore(revision)) setCompare({ from: null, to: null });
+    };
+
+    return (
+        <section className="bg-white p-6 rounded-xl shadow-xl mt-6">
+            <button onClick={() => setOpen(!open)} className="w-full flex justify-between items-center text-left">
+                <h3 className="text-xl font-bold text-gray-800">
+                    <i className="fas fa-history mr-2 text-gray-400"></i>History <span className="text-sm font-normal text-gray-500">({revisions.length} revision{revisions.length === 1 ? '' : 's'})</span>
+                </h3>
+                <i className={`fas fa-chevron-${open ? 'up' : 'down'} text-gray-400`}></i>
+            </button>
+            {open && (revisions.length === 0 ? (
+                <p className="text-gray-500 italic mt-4">No history has been recorded for this post yet.</p>
+            ) : (
+                <div className="mt-4 space-y-4">
+                    <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                        {revisions.map((revision, index) => (
+                            <li key={revision.id} className="flex flex-wrap justify-between items-center gap-2 px-3 py-2 text-sm">
+                                <div className="min-w-0">
+                                    <p className="font-medium text-gray-800 truncate">
+                                        {revision.title}
+                                        {index === 0 && <span className="ml-2 text-xs px-2 py-0.5 bg-blue-100 text-blue-700 rounded-full">Current</span>}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                        {describe(revision)}
+                                        {revision.restoredFrom && <span className="italic"> (restored)</span>}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => setCompare({ from: revisions[index + 1]?.id ?? null, to: revision.id })}
+                                        disabled={index === revisions.length - 1}
+                                        className="text-xs px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-40"
+                                    >
+                                        Changes
+                                    </button>
+                                    {isAuthor && index > 0 && (pendingRestoreId === revision.id ? (
+                                        <>
+                                            <button onClick={() => handleRestore(revision)} className="text-xs px-2 py-1 bg-yellow-400 text-gray-900 rounded hover:bg-yellow-500">
+                                                Confirm Restore
+                                            </button>
+                                            <button onClick={() => setPendingRestoreId(null)} className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded">
+                                                Cancel
+                                            </button>
+                                        </>
+                                    ) : (
+                                        <button onClick={() => setPendingRestoreId(revision.id)} className="text-xs px-2 py-1 bg-yellow-100 text-yellow-800 rounded hover:bg-yellow-200">
+                                            <i className="fas fa-undo mr-1"></i>Restore
+                                        </button>
+                                    ))}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+
+                    {revisions.length > 1 && (
+                        <div>
+                            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                                Compare
+                                <select
+                                    value={from?.id || ''}
+                                    onChange={(e) => setCompare({ from: e.target.value, to: to.id })}
+                                    className="border border-gray-300 rounded-lg p-1.5 text-sm"
+                                >
+                                    {revisions.map(revision => <option key={revision.id} value={revision.id}>{describe(revision)}</option>)}
+                                </select>
+                                with
+                                <select
+                                    value={to.id}
+                                    onChange={(e) => setCompare({ from: from?.id ?? null, to: e.target.value })}
+                                    className="border border-gray-300 rounded-lg p-1.5 text-sm"
+                                >
+                                    {revisions.map(revision => <option key={revision.id} value={revision.id}>{describe(revision)}</option>)}
+                                </select>
+                            </div>
+                            {from && <RevisionDiff before={from} after={to} />}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </section>
+    );
+};
+
+/**
+ * Form for writing a new post or editing an existing one, with a live Markdown preview.
+ * New posts are drafts: `draftStatus` reports the autosave and an optional publish time schedules them.
+ * Declared outside App so that typing does not remount the inputs on every render.
+ */
+const PostEditor = ({ post, value, onChange, onSubmit, onCancel, draftStatus }) => {
+    const [tab, setTab] = useState('write'); // 'write', 'preview'
+    const scheduled = !post && parsePublishAt(value.publishAt) > new Date();
+
+    const tabClass = (name) => `px-3 py-1.5 text-sm font-medium rounded-t-lg border-b-2 transition duration-150 ${tab === name ? 'border-blue-500 text-blue-700' : 'border-transparent text-gray-500 hover:text-gray-700'}`;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-xl">
+            <div className="flex flex-wrap justify-between items-end gap-2 mb-6 border-b pb-2">
+                <h2 className="text-3xl font-extrabold text-gray-800">
+                    {post ? 'Edit Post' : 'Write a New Blog Post'}
+                </h2>
+                {draftStatus && (
+                    <span className={`text-sm ${draftStatus === 'error' ? 'text-red-600' : 'text-gray-400'}`} aria-live="polite">
+                        {draftStatus === 'saving' && <><i className="fas fa-spinner fa-spin mr-1"></i>Saving draft...</>}
+                        {draftStatus === 'saved' && <><i className="fas fa-check mr-1"></i>Draft saved</>}
+                        {draftStatus === 'error' && <><i className="fas fa-exclamation-circle mr-1"></i>Draft not saved</>}
+                    </span>
+                )}
+            </div>
+            <form onSubmit={onSubmit} className="space-y-4">
+                <div>
+                    <label htmlFor="postTitle" className="block text-sm font-medium text-gray-700">Title</label>
+                    <input
+                        id="postTitle"
+                        type="text"
+                        value={value.title}
+                        onChange={(e) => onChange({ ...value, title: e.target.value })}
+                        className="mt-1 block w-full border-gray-300 border rounded-lg shadow-sm p-3 focus:ring-blue-500 focus:border-blue-500"
+                        required
+                    />
+                </div>
+                <div>
+                    <div className="flex justify-between items-end border-b">
+                        <label htmlFor="postContent" className="block text-sm font-medium text-gray-700 pb-1">
+                            Content <span className="text-xs text-gray-400">(Markdown supported)</span>
+                        </label>
+                        <div className="flex space-x-1" role="tablist">
+                            <button type="button" role="tab" aria-selected={tab === 'write'} onClick={() => setTab('write')} className={tabClass('write')}>
+                                <i className="fas fa-pen mr-1"></i> Write
+                            </button>
+                            <button type="button" role="tab" aria-selected={tab === 'preview'} onClick={() => setTab('preview')} className={tabClass('preview')}>
+                                <i className="fas fa-eye mr-1"></i> Preview
+                            </button>
+                        </div>
+                    </div>
+                    {tab === 'write' ? (
+                        <textarea
+                            id="postContent"
+                            rows="14"
+                            value={value.content}
+                            onChange={(e) => onChange({ ...value, content: e.target.value })}
+                            className="mt-2 block w-full border-gray-300 border rounded-lg shadow-sm p-3 font-mono text-sm focus:ring-blue-500 focus:border-blue-500"
+                            required
+                        ></textarea>
+                    ) : (
+                        <div className="mt-2 min-h-[14rem] border border-gray-200 rounded-lg p-4 bg-gray-50">
+                            {value.content
+                                ? <MarkdownContent source={value.content} />
+                                : <p className="text-gray-400 italic">Nothing to preview yet.</p>}
+                        </div>
+                    )}
+                </div>
+                {!post && (
+                    <div>
+                        <label htmlFor="postPublishAt" className="block text-sm font-medium text-gray-700">
+                            Publish at <span className="text-xs text-gray-400">(optional; leave empty to publish now)</span>
+                        </label>
+                        <input
+                            id="postPublishAt"
+                            type="datetime-local"
+                            value={value.publishAt}
+                            onChange={(e) => onChange({ ...value, publishAt: e.target.value })}
+                            className="mt-1 block border-gray-300 border rounded-lg shadow-sm p-3 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                    </div>
+                )}
+                <div className="flex gap-3">
+                    {post && (
+                        <button
+                            type="button"
+                            onClick={onCancel}
+                            className="px-4 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300 transition duration-150"
+                        >
+                            Cancel
+                        </button>
+                    )}
+                    <button
+                        type="submit"
+                        className="flex-1 px-4 py-3 bg-green-500 text-white font-semibold rounded-lg hover:bg-green-600 transition duration-150 shadow-md"
+                    >
+                        <i className={`fas ${post ? 'fa-save' : scheduled ? 'fa-calendar-check' : 'fa-paper-plane'} mr-2`}></i>
+                        {post ? 'Save Changes' : scheduled ? 'Schedule Post' : 'Publish Post'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+/**
+ * Form for adding a bookmark with an optional folder path and comma-separated tags.
+ */
+const BookmarkForm = ({ value, onChange, onSubmit, onUrlBlur, folders }) => (
+    <form onSubmit={onSubmit} className="space-y-3">
+        <div className="flex flex-col sm:flex-row gap-3">
+            <input
+                type="text"
+                placeholder="Name (e.g., Google)"
+                value={value.name}
+                onChange={(e) => onChange({ ...value, name: e.target.value })}
+                className="flex-1 border-gray-300 border rounded-lg p-3 text-sm focus:ring-blue-500 focus:border-blue-500"
+                required
+            />
+            <input
+                type="url"
+                placeholder="URL (e.g., https://www.google.com/)"
+                value={value.url}
+                onChange={(e) => onChange({ ...value, url: e.target.value })}
+                onBlur={onUrlBlur}
+                className="flex-1 border-gray-300 border rounded-lg p-3 text-sm focus:ring-blue-500 focus:border-blue-500"
+                required
+            />
+        </div>
+        {value.description && <p className="text-xs text-gray-500 px-1">{value.description}</p>}
+        <div className="flex flex-col sm:flex-row gap-3">
+            <input
+                type="text"
+                list="bookmarkFolders"
+                placeholder="Folder (e.g., Dev/Tools)"
+                value={value.folder}
+                onChange={(e) => onChange({ ...value, folder: e.target.value })}
+                className="flex-1 border-gray-300 border rounded-lg p-3 text-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+            <datalist id="bookmarkFolders">
+                {folders.map(folder => <option key={folder} value={folder} />)}
+            </datalist>
+            <input
+                type="text"
+                placeholder="Tags, comma separated"
+                value={value.tags}
+                onChange={(e) => onChange({ ...value, tags: e.target.value })}
+                className="flex-1 border-gray-300 border rounded-lg p-3 text-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+                type="submit"
+                className="px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition duration-150 shadow-md sm:w-auto"
+            >
+                <i className="fas fa-save mr-1"></i> Save
+            </button>
+        </div>
+    </form>
+);
+
+/**
+ * Message for a failed sign-in or account link, by Firebase Auth error code.
+ */
+const authErrorMessage = error => ({
+    'auth/email-already-in-use': "That email already belongs to another account. Sign in to it instead.",
+    'auth/credential-already-in-use': "That email already belongs to another account. Sign in to it instead.",
+    'auth/provider-already-linked': "This account already has an email and password.",
+    'auth/invalid-email': "Enter a valid email address.",
+    'auth/weak-password': "Choose a password with at least 6 characters.",
+    'auth/invalid-credential': "Wrong email or password.",
+    'auth/wrong-password': "Wrong email or password.",
+    'auth/user-not-found': "Wrong email or password.",
+    'auth/network-request-failed': "You are offline. Try again when you reconnect.",
+}[error.code] || "Authentication failed. Check console for details.");
+
+/**
+ * Profile editor and account settings. Anonymous users can link an email and password so their
+ * data survives clearing the browser; permanent accounts can sign out, and any account can sign
+ * in to an existing one. Rendered directly by App so the inputs keep their state.
+ */
+const AccountSettings = ({ userId, profile, account, onSaveProfile, onLink, onSignIn, onSignOut }) => {
+    const [form, setForm] = useState(() => ({ ...emptyProfile, ...profile }));
+    const [credentials, setCredentials] = useState({ email: '', password: '' });
+    const [mode, setMode] = useState('link'); // 'link', 'signIn'
+    const [busy, setBusy] = useState(false);
+
+    const handleProfileSubmit = (e) => {
+        e.preventDefault();
+        onSaveProfile(form);
+    };
+
+    const handleCredentialsSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        const done = await (mode === 'link' ? onLink : onSignIn)(credentials.email, credentials.password);
+        setBusy(false);
+        if (done) setCredentials({ email: '', password: '' });
+    };
+
+    const inputClass = "mt-1 block w-full border-gray-300 border rounded-lg shadow-sm p-3 focus:ring-blue-500 focus:border-blue-500";
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-6 rounded-xl shadow-xl">
+                <div className="flex items-center gap-4 mb-6 border-b pb-4">
+                    <Avatar profile={form} userId={userId} size="w-16 h-16 text-2xl" />
+                    <div>
+                        <h2 className="text-3xl font-extrabold text-gray-800">{displayNameOf(form, userId)}</h2>
+                        <a href={routes.profile(userId)} className="text-sm text-blue-600 hover:underline">View public profile</a>
+                    </div>
+                </div>
+                <form onSubmit={handleProfileSubmit} className="space-y-4">
+                    <div>
+                        <label htmlFor="profileName" className="block text-sm font-medium text-gray-700">Display name</label>
+                        <input
+                            id="profileName"
+                            type="text"
+                            maxLength={50}
+                            value={form.displayName}
+                            onChange={(e) => setForm({ ...form, displayName: e.target.value })}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="profileAvatar" className="block text-sm font-medium text-gray-700">Avatar URL <span className="text-xs text-gray-400">(optional)</span></label>
+                        <input
+                            id="profileAvatar"
+                            type="url"
+                            placeholder="https://..."
+                            value={form.avatarUrl}
+                            onChange={(e) => setForm({ ...form, avatarUrl: e.target.value })}
+                            className={inputClass}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="profileBio" className="block text-sm font-medium text-gray-700">Bio <span className="text-xs text-gray-400">(optional)</span></label>
+                        <textarea
+                            id="profileBio"
+                            rows="3"
+                            maxLength={500}
+                            value={form.bio}
+                            onChange={(e) => setForm({ ...form, bio: e.target.value })}
+                            className={inputClass}
+                        ></textarea>
+                    </div>
+                    <button
+                        type="submit"
+                        className="px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition duration-150 shadow-md"
+                    >
+                        <i className="fas fa-save mr-1"></i> Save Profile
+                    </button>
+                </form>
+            </div>
+
+            <div className="bg-white p-6 rounded-xl shadow-xl">
+                <h3 className="text-xl font-semibold text-gray-800 mb-2">Account</h3>
+                {!account ? (
+                    <p className="text-sm text-gray-500">This app is running without a server. Your data is kept in this browser only.</p>
+                ) : !account.isAnonymous ? (
+                    <div className="flex flex-wrap items-center gap-3">
+                        <p className="text-sm text-gray-600">Signed in as <span className="font-medium">{account.email}</span>.</p>
+                        <button
+                            onClick={onSignOut}
+                            className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition duration-150"
+                        >
+                            <i className="fas fa-sign-out-alt mr-1"></i> Sign Out
+                        </button>
+                    </div>
+                ) : (
+                    <>
+                        <p className="text-sm text-gray-600 mb-4">
+                            {mode === 'link'
+                                ? 'You are using a guest account. Add an email and password to keep your bookmarks and drafts if this browser is cleared, and to use them on other devices.'
+                                : 'Signing in to another account leaves this guest account behind, along with its bookmarks and drafts.'}
+                        </p>
+                        <form onSubmit={handleCredentialsSubmit} className="flex flex-col sm:flex-row gap-3">
+                            <input
+                                type="email"
+                                placeholder="Email"
+                                autoComplete="email"
+                                value={credentials.email}
+                                onChange={(e) => setCredentials({ ...credentials, email: e.target.value })}
+                                className="flex-1 border-gray-300 border rounded-lg p-3 text-sm focus:ring-blue-500 focus:border-blue-500"
+                                required
+                            />
+                            <input
+                                type="password"
+                                placeholder="Password"
+                                autoComplete={mode === 'link' ? 'new-password' : 'current-password'}
+                                value={credentials.password}
+                                onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+                                className="flex-1 border-gray-300 border rounded-lg p-3 text-sm focus:ring-blue-500 focus:border-blue-500"
+                                required
+                            />
+                            <button
+                                type="submit"
+                                disabled={busy}
+                                className="px-6 py-3 bg-green-500 text-white font-medium rounded-lg hover:bg-green-600 transition duration-150 shadow-md disabled:opacity-60"
+                            >
+                                {mode === 'link' ? <><i className="fas fa-link mr-1"></i> Keep My Account</> : <><i className="fas fa-sign-in-alt mr-1"></i> Sign In</>}
+                            </button>
+                        </form>
+                        <button
+                            onClick={() => setMode(mode === 'link' ? 'signIn' : 'link')}
+                            className="mt-3 text-sm text-blue-600 hover:underline"
+                        >
+                            {mode === 'link' ? 'Already have an account? Sign in instead' : 'Back to keeping this account'}
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// MIME type used when dragging a bookmark onto a folder
+const BOOKMARK_DRAG_TYPE = 'application/x-kalari-bookmark';
+
+/**
+ * Collapsible folder tree for the bookmark sidebar. Bookmarks can be dropped onto a folder to move them.
+ */
+const FolderTree = ({ node, selected, onSelect, onDropBookmark, depth = 0 }) => {
+    const [expanded, setExpanded] = useState(depth === 0);
+    const [dropTarget, setDropTarget] = useState(false);
+
+    const dropHandlers = {
+        onDragOver: (e) => {
+            if (!e.dataTransfer.types.includes(BOOKMARK_DRAG_TYPE)) return;
+            e.preventDefault();
+            setDropTarget(true);
+        },
+        onDragLeave: () => setDropTarget(false),
+        onDrop: (e) => {
+            e.preventDefault();
+            setDropTarget(false);
+            onDropBookmark(e.dataTransfer.getData(BOOKMARK_DRAG_TYPE), node.path);
+        },
+    };
+
+    return (
+        <li>
+            <div
+                {...dropHandlers}
+                className={`flex items-center rounded-lg text-sm ${selected === node.path ? 'bg-blue-100 text-blue-800 font-semibold' : 'text-gray-700 hover:bg-gray-100'} ${dropTarget ? 'ring-2 ring-blue-400' : ''}`}
+                style={{ paddingLeft: `${depth * 0.75}rem` }}
+            >
+                <button
+                    type="button"
+                    onClick={() => setExpanded(!expanded)}
+                    className={`w-6 text-gray-400 ${node.children.length === 0 ? 'invisible' : ''}`}
+                    aria-label={expanded ? 'Collapse folder' : 'Expand folder'}
+                >
+                    <i className={`fas fa-caret-${expanded ? 'down' : 'right'}`}></i>
+                </button>
+                <button type="button" onClick={() => onSelect(node.path)} className="flex-1 flex items-center py-1.5 pr-2 text-left truncate">
+                    <i className={`fas ${expanded && node.children.length ? 'fa-folder-open' : 'fa-folder'} text-yellow-500 mr-2`}></i>
+                    <span className="flex-1 truncate">{node.name}</span>
+                    <span className="text-xs text-gray-400 ml-2">{node.count}</span>
+                </button>
+            </div>
+            {expanded && node.children.length > 0 && (
+                <ul>
+                    {node.children.map(child => (
+                        <FolderTree
+                            key={child.path}
+                            node={child}
+                            selected={selected}
+                            onSelect={onSelect}
+                            onDropBookmark={onDropBookmark}
+                            depth={depth + 1}
+                        />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+/**
+ * Inline "Move to" control for a single bookmark; accepts an existing or a new folder path.
+ * Folder suggestions come from the datalist rendered by BookmarkForm.
+ */
+const MoveToFolder = ({ currentFolder, onMove }) => {
+    const [open, setOpen] = useState(false);
+    const [target, setTarget] = useState(currentFolder || '');
+
+    if (!open) {
+        return (
+            <button
+                onClick={() => { setTarget(currentFolder || ''); setOpen(true); }}
+                className="text-gray-500 hover:text-blue-500 transition duration-150"
+                title="Move to Folder"
+            >
+                <i className="fas fa-folder-open"></i>
+            </button>
+        );
+    }
+
+    return (
+        <form
+            onSubmit={(e) => { e.preventDefault(); onMove(target); setOpen(false); }}
+            className="flex items-center space-x-1"
+        >
+            <input
+                type="text"
+                list="bookmarkFolders"
+                value={target}
+                onChange={(e) => setTarget(e.target.value)}
+                placeholder="Top level"
+                className="w-36 border-gray-300 border rounded p-1 text-xs"
+                autoFocus
+            />
+            <button type="submit" className="text-xs px-2 py-1 bg-blue-600 text-white rounded">Move</button>
+            <button type="button" onClick={() => setOpen(false)} className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded">Cancel</button>
+        </form>
+    );
+};
+
+/**
+ * Publishing panel above the bookmark manager: lists the user's shared collections and names
+ * the selected bookmarks as a new collection, or as the new contents of the one being edited.
+ * Rendered directly by App so its inputs keep their state while bookmarks change.
+ */
+const SharedCollectionsPanel = ({ collections, selectedCount, editing, onPublish, onEdit, onCancel, onUnpublish, onCopyLink }) => {
+    const [form, setForm] = useState(() => ({ name: editing?.name || '', description: editing?.description || '' }));
+    const [pendingUnpublishId, setPendingUnpublishId] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (await onPublish(form)) setForm({ name: '', description: '' });
+    };
+
+    if (collections.length === 0 && selectedCount === 0 && !editing) return null;
+
+    return (
+        <div className="bg-purple-50 p-6 rounded-xl shadow-inner border-purple-200 border mb-6 space-y-4">
+            {(selectedCount > 0 || editing) && (
+                <form onSubmit={handleSubmit} className="space-y-3">
+                    <h3 className="text-xl font-semibold text-purple-700">
+                        {editing ? `Update '${editing.name}'` : 'Share as a collection'}
+                        <span className="ml-2 text-sm font-normal text-gray-600">{selectedCount} bookmark{selectedCount === 1 ? '' : 's'} selected</span>
+                    </h3>
+                    <div className="flex flex-col sm:flex-row gap-3">
+                        <input
+                            type="text"
+                            placeholder="Collection name"
+                            maxLength={100}
+                            value={form.name}
+                            onChange={(e) => setForm({ ...form, name: e.target.value })}
+                            className="flex-1 border-gray-300 border rounded-lg p-3 text-sm focus:ring-purple-500 focus:border-purple-500"
+                            required
+                        />
+                        <input
+                            type="text"
+                            placeholder="Description (optional)"
+                            value={form.description}
+                            onChange={(e) => setForm({ ...form, description: e.target.value })}
+                            className="flex-[2] border-gray-300 border rounded-lg p-3 text-sm focus:ring-purple-500 focus:border-purple-500"
+                        />
+                    </div>
+                    <p className="text-xs text-gray-500">Anyone signed in who has the link can see the names, links, folders and tags of these bookmarks.</p>
+                    <div className="flex gap-3">
+                        <button
+                            type="submit"
+                            disabled={selectedCount === 0}
+                            className="px-4 py-2 bg-purple-600 text-white font-medium rounded-lg hover:bg-purple-700 transition duration-150 shadow-md disabled:opacity-50"
+                        >
+                            <i className="fas fa-share-alt mr-1"></i> {editing ? 'Update Collection' : 'Publish Collection'}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={onCancel}
+                            className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition duration-150"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            )}
+            {collections.length > 0 && (
+                <div>
+                    <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">My shared collections</h3>
+                    <ul className="bg-white rounded-lg border border-purple-100 divide-y divide-purple-50">
+                        {collections.map(collection => (
+                            <li key={collection.id} className="flex flex-wrap justify-between items-center gap-2 px-3 py-2 text-sm">
+                                <a href={routes.collection(collection.id)} className="font-medium text-gray-800 hover:text-purple-700">
+                                    {collection.name} <span className="text-xs text-gray-400">({collection.items.length})</span>
+                                </a>
+                                {pendingUnpublishId === collection.id ? (
+                                    <div className="flex items-center gap-2">
+                                        <span className="text-xs text-red-600">Unpublish? The link stops working.</span>
+                                        <button onClick={() => onUnpublish(collection.id)} className="text-xs px-2 py-1 bg-red-600 text-white rounded">Unpublish</button>
+                                        <button onClick={() => setPendingUnpublishId(null)} className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded">Cancel</button>
+                                    </div>
+                                ) : (
+                                    <div className="flex items-center gap-3 text-gray-500">
+                                        <button onClick={() => onCopyLink(collection)} className="hover:text-purple-700" title="Copy Link"><i className="fas fa-link"></i></button>
+                                        <button onClick={() => onEdit(collection)} className="hover:text-purple-700" title="Change Contents"><i className="fas fa-edit"></i></button>
+                                        <button onClick={() => setPendingUnpublishId(collection.id)} className="text-red-400 hover:text-red-600" title="Unpublish"><i className="fas fa-eye-slash"></i></button>
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Shows a snapshot's DD-MM-YYYY inventory date, stored as 'YYYY-MM-DD', in the reader's locale.
+ */
+const formatSnapshotDate = date => new Date(`${date}T00:00:00`).toLocaleDateString();
+
+const FOLDER_STATUS_STYLES = {
+    added: 'bg-green-50 text-green-800',
+    removed: 'bg-red-50 text-red-700 line-through',
+    grown: 'bg-orange-50 text-orange-800',
+    shrunk: 'bg-blue-50 text-blue-800',
+    same: 'text-gray-700',
+};
+
+/**
+ * Sortable header cell of the folder table.
+ */
+const SortHeader = ({ label, sortKey, sort, onSort, className = '' }) => (
+    <th className={`px-3 py-2 font-semibold ${className}`}>
+        <button onClick={() => onSort(sortKey)} className="hover:text-blue-700">
+            {label}
+            {sort.key === sortKey && <i className={`fas fa-sort-${sort.dir === 'asc' ? 'up' : 'down'} ml-1`}></i>}
+        </button>
+    </th>
+);
+
+/**
+ * Folder inventories imported from save_folders_csv.sh: an import preview that lists rejected
+ * rows, the saved snapshots, a sortable table of one snapshot and its changes since another.
+ * Rendered directly by App so the preview, sort order and selections keep their state.
+ */
+const FolderInventory = ({ snapshots, onSave, onDelete }) => {
+    const [preview, setPreview] = useState(null); // parsed file, or { fileName, error } if it was rejected
+    const [selectedId, setSelectedId] = useState(null);
+    const [baselineId, setBaselineId] = useState('');
+    const [changesOnly, setChangesOnly] = useState(false);
+    const [sort, setSort] = useState({ key: 'name', dir: 'asc' });
+    const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+    const selected = snapshots.find(snapshot => snapshot.id === selectedId) || snapshots[0] || null;
+    const baseline = selected && baselineId !== selected.id ? snapshots.find(snapshot => snapshot.id === baselineId) || null : null;
+
+    const rows = useMemo(() => {
+        if (!selected) return [];
+        const entries = baseline
+            ? compareSnapshots(baseline, selected).filter(row => !changesOnly || row.status !== 'same')
+            : selected.folders.map(folder => ({ name: folder.name, status: 'same', before: null, after: folder.sizeBytes, delta: null }));
+
+        const direction = sort.dir === 'asc' ? 1 : -1;
+        return [...entries].sort((a, b) => {
+            if (sort.key === 'name') return direction * a.name.localeCompare(b.name);
+            // Unknown sizes go last in either direction
+            const x = sort.key === 'status' ? a.status : a[sort.key];
+            const y = sort.key === 'status' ? b.status : b[sort.key];
+            if (x === null || x === undefined) return y === null || y === undefined ? a.name.localeCompare(b.name) : 1;
+            if (y === null || y === undefined) return -1;
+            return direction * (typeof x === 'string' ? x.localeCompare(y) : x - y) || a.name.localeCompare(b.name);
+        });
+    }, [selected, baseline, changesOnly, sort]);
+
+    const counts = useMemo(() => (baseline && selected
+        ? compareSnapshots(baseline, selected).reduce((total, row) => ({ ...total, [row.status]: (total[row.status] || 0) + 1 }), {})
+        : {}), [selected, baseline]);
+
+    const handleSort = key => setSort(prev => ({ key, dir: prev.key === key && prev.dir === 'asc' ? 'desc' : 'asc' }));
+
+    const handleFileSelect = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Allow selecting the same file again
+        if (!file) return;
+
+        try {
+            setPreview({ fileName: file.name, ...parseFolderInventory(await file.text()) });
+        } catch (error) {
+            setPreview({ fileName: file.name, error: error.message });
+        }
+    };
+
+    const handleImport = async () => {
+        const { fileName, date, hasSizes, folders } = preview;
+        const id = await onSave({ fileName, date, hasSizes, folders });
+        if (!id) return;
+        setPreview(null);
+        setSelectedId(id);
+        setBaselineId('');
+    };
+
+    const totalSize = snapshot => (snapshot.hasSizes ? snapshot.folders.reduce((sum, folder) => sum + folder.sizeBytes, 0) : null);
+    const sizeCell = bytes => <span title={bytes === null ? 'No size recorded' : `${bytes.toLocaleString()} bytes`}>{formatBytes(bytes) || '—'}</span>;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap justify-between items-center gap-3 border-b pb-2">
+                <h2 className="text-3xl font-extrabold text-gray-800">Folder Inventory</h2>
+                <label className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-100 transition duration-150 cursor-pointer">
+                    <i className="fas fa-file-csv mr-1"></i> Import CSV
+                    <input type="file" accept=".csv,text/csv" onChange={handleFileSelect} className="hidden" />
+                </label>
+            </div>
+
+            {/* Import Preview */}
+            {preview && (
+                <div className={`p-6 rounded-xl shadow-inner border ${preview.error ? 'bg-red-50 border-red-200' : 'bg-green-50 border-green-200'}`}>
+                    <h3 className={`text-xl font-semibold mb-1 ${preview.error ? 'text-red-700' : 'text-green-700'}`}>Import from '{preview.fileName}'</h3>
+                    {preview.error ? (
+                        <p className="text-sm text-red-700 mb-4">{preview.error}</p>
+                    ) : (
+                        <>
+                            <p className="text-sm text-gray-600 mb-2">
+                                {preview.folders.length} folder(s) from {preview.date ? formatSnapshotDate(preview.date) : 'an unknown date'}
+                                {!preview.hasSizes && ', without sizes'}
+                                {preview.errors.length > 0 && `; ${preview.errors.length} row(s) will be skipped`}.
+                            </p>
+                            {preview.errors.length > 0 && (
+                                <ul className="max-h-48 overflow-y-auto bg-white rounded-lg border border-red-100 divide-y divide-red-50 text-sm mb-4">
+                                    {preview.errors.map(({ line, message }) => (
+                                        <li key={line} className="px-3 py-1.5 text-red-700">
+                                            <span className="font-mono text-xs text-gray-500 mr-2">Line {line}</span>{message}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </>
+                    )}
+                    <div className="flex gap-3">
+                        {!preview.error && (
+                            <button
+                                onClick={handleImport}
+                                disabled={preview.folders.length === 0}
+                                className="px-4 py-2 bg-green-600 text-white font-medium rounded-lg hover:bg-green-700 transition duration-150 shadow-md disabled:opacity-50"
+                            >
+                                <i className="fas fa-check mr-1"></i> Save Snapshot
+                            </button>
+                        )}
+                        <button
+                            onClick={() => setPreview(null)}
+                            className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition duration-150"
+                        >
+                            {preview.error ? 'Close' : 'Cancel'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {snapshots.length === 0 ? (
+                <p className="text-gray-500 italic">
+                    No snapshots yet. Run save_folders_csv.sh on a directory and import the CSV it writes.
+                </p>
+            ) : (
+                <div className="flex flex-col md:flex-row gap-6">
+                    {/* Snapshot List */}
+                    <aside className="md:w-72 shrink-0 bg-white p-4 rounded-xl shadow-lg border border-gray-100 self-start">
+                        <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">Snapshots</h3>
+                        <ul className="space-y-1">
+                            {snapshots.map(snapshot => (
+                                <li key={snapshot.id}>
+                                    <div className={`flex items-center gap-2 rounded-lg px-2 py-1.5 text-sm ${snapshot.id === selected?.id ? 'bg-blue-100 text-blue-800' : 'text-gray-700 hover:bg-gray-100'}`}>
+                                        <button onClick={() => setSelectedId(snapshot.id)} className="flex-1 min-w-0 text-left">
+                                            <span className="font-semibold">{formatSnapshotDate(snapshot.date)}</span>
+                                            <span className="block text-xs text-gray-500 truncate">
+                                                {snapshot.fileName} · {snapshot.folders.length} folders{snapshot.hasSizes && ` · ${formatBytes(totalSize(snapshot))}`}
+                                            </span>
+                                        </button>
+                                        <button onClick={() => setPendingDeleteId(snapshot.id)} className="text-red-400 hover:text-red-600" title="Delete Snapshot">
+                                            <i className="fas fa-trash"></i>
+                                        </button>
+                                    </div>
+                                    {pendingDeleteId === snapshot.id && (
+                                        <div className="flex items-center gap-2 px-2 py-1">
+                                            <span className="text-xs text-red-600">Delete this snapshot?</span>
+                                            <button onClick={() => { setPendingDeleteId(null); onDelete(snapshot.id); }} className="text-xs px-2 py-1 bg-red-600 text-white rounded">Delete</button>
+                                            <button onClick={() => setPendingDeleteId(null)} className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded">Cancel</button>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </aside>
+
+                    {/* Folder Table */}
+                    {selected && (
+                        <div className="flex-1 min-w-0 bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-100">
+                            <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+                                <label htmlFor="folderBaseline" className="text-gray-600">Compare with</label>
+                                <select
+                                    id="folderBaseline"
+                                    value={baseline ? baseline.id : ''}
+                                    onChange={(e) => setBaselineId(e.target.value)}
+                                    className="border-gray-300 border rounded-lg p-2 text-sm"
+                                >
+                                    <option value="">Nothing</option>
+                                    {snapshots.filter(snapshot => snapshot.id !== selected.id).map(snapshot => (
+                                        <option key={snapshot.id} value={snapshot.id}>{formatSnapshotDate(snapshot.date)} ({snapshot.fileName})</option>
+                                    ))}
+                                </select>
+                                {baseline && (
+                                    <label className="flex items-center gap-1 text-gray-600">
+                                        <input type="checkbox" checked={changesOnly} onChange={(e) => setChangesOnly(e.target.checked)} />
+                                        Changes only
+                                    </label>
+                                )}
+                            </div>
+                            {baseline && (
+                                <p className="text-sm text-gray-600 mb-3">
+                                    Since {formatSnapshotDate(baseline.date)}:{' '}
+                                    <span className="text-green-700">{counts.added || 0} added</span>,{' '}
+                                    <span className="text-red-700">{counts.removed || 0} removed</span>,{' '}
+                                    <span className="text-orange-700">{counts.grown || 0} grown</span>,{' '}
+                                    <span className="text-blue-700">{counts.shrunk || 0} shrunk</span>.
+                                    {baseline.hasSizes && selected.hasSizes && ` Total ${formatBytes(totalSize(baseline))} → ${formatBytes(totalSize(selected))}.`}
+                                </p>
+                            )}
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full text-sm">
+                                    <thead className="text-left text-gray-600 border-b">
+                                        <tr>
+                                            <SortHeader label="Folder" sortKey="name" sort={sort} onSort={handleSort} />
+                                            {baseline && <SortHeader label="Status" sortKey="status" sort={sort} onSort={handleSort} />}
+                                            {baseline && <SortHeader label="Before" sortKey="before" sort={sort} onSort={handleSort} className="text-right" />}
+                                            <SortHeader label={baseline ? 'After' : 'Size'} sortKey="after" sort={sort} onSort={handleSort} className="text-right" />
+                                            {baseline && <SortHeader label="Change" sortKey="delta" sort={sort} onSort={handleSort} className="text-right" />}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {rows.map(row => (
+                                            <tr key={row.name} className={FOLDER_STATUS_STYLES[row.status]}>
+                                                <td className="px-3 py-1.5 break-all">{row.name}</td>
+                                                {baseline && <td className="px-3 py-1.5 capitalize">{row.status}</td>}
+                                                {baseline && <td className="px-3 py-1.5 text-right whitespace-nowrap">{sizeCell(row.before)}</td>}
+                                                <td className="px-3 py-1.5 text-right whitespace-nowrap">{sizeCell(row.after)}</td>
+                                                {baseline && (
+                                                    <td className="px-3 py-1.5 text-right whitespace-nowrap">
+                                                        {row.delta ? `${row.delta > 0 ? '+' : ''}${formatBytes(row.delta)}` : ''}
+                                                    </td>
+                                                )}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {rows.length === 0 && <p className="text-gray-500 italic mt-3">No folders changed.</p>}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Wraps the parts of `text` that match the search terms in <mark>.
+ */
+const Highlight = ({ text, terms }) => {
+    const source = String(text || '');
+    const parts = [];
+    let last = 0;
+    findMatchRanges(source, terms).forEach(([start, end]) => {
+        if (start > last) parts.push(source.slice(last, start));
+        parts.push(<mark key={start} className="bg-yellow-200 text-inherit rounded px-0.5">{source.slice(start, end)}</mark>);
+        last = end;
+    });
+    parts.push(source.slice(last));
+    return <>{parts}</>;
+};
+
+/**
+ * Header search box querying posts and bookmarks; results open in a dropdown.
+ * Keeps its own query state so typing does not re-render the whole app.
+ * `scopeNote`, when set, is shown under the results to say what was not searched.
+ */
+const SearchBox = ({ onSearch, onSelect, scopeNote }) => {
+    const [searchQuery, setSearchQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+
+    const results = useMemo(() => onSearch(searchQuery), [onSearch, searchQuery]);
+
+    const select = (result) => {
+        onSelect(result);
+        setSearchQuery('');
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            setSearchQuery('');
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(Math.min(activeIndex + 1, results.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(Math.max(activeIndex - 1, 0));
+        } else if (e.key === 'Enter' && results[activeIndex]) {
+            e.preventDefault();
+            select(results[activeIndex]);
+        }
+    };
+
+    return (
+        <div className="relative w-full sm:w-72">
+            <i className="fas fa-search absolute left-3 top-1/2 -translate-y-1/2 text-blue-300 text-sm"></i>
+            <input
+                type="search"
+                value={searchQuery}
+                onChange={(e) => { setSearchQuery(e.target.value); setActiveIndex(0); }}
+                onKeyDown={handleKeyDown}
+                placeholder="Search posts and bookmarks"
+                aria-label="Search posts and bookmarks"
+                className="w-full pl-9 pr-3 py-1.5 rounded-full text-sm bg-blue-600 text-white placeholder-blue-200 focus:bg-white focus:text-gray-900 focus:outline-none"
+            />
+            {searchQuery.trim() && (
+                <ul className="absolute right-0 mt-2 w-full sm:w-96 max-h-96 overflow-y-auto bg-white rounded-xl shadow-2xl border border-gray-100 divide-y divide-gray-100" role="listbox">
+                    {results.length === 0 ? (
+                        <li className="px-4 py-3 text-sm text-gray-500 italic">No matches.</li>
+                    ) : results.map((result, index) => (
+                        <li key={`${result.type}:${result.id}`} role="option" aria-selected={index === activeIndex}>
+                            <button
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => select(result)}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                className={`w-full text-left px-4 py-2 ${index === activeIndex ? 'bg-blue-50' : ''}`}
+                            >
+                                <p className="text-sm font-medium text-gray-800 truncate">
+                                    <i className={`fas ${result.type === 'post' ? 'fa-file-alt text-blue-500' : 'fa-bookmark text-yellow-500'} mr-2`}></i>
+                                    <Highlight text={result.title} terms={result.terms} />
+                                </p>
+                                <p className="text-xs text-gray-500 truncate mt-0.5">
+                                    <Highlight text={result.snippet} terms={result.terms} />
+                                </p>
+                            </button>
+                        </li>
+                    ))}
+                    {scopeNote && <li className="px-4 py-2 text-xs text-gray-500 bg-gray-50">{scopeNote}</li>}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Sync state shown in the header: synced, pending writes, or writes that need attention.
+ * Problems (conflicts or rejected writes) can be kept or discarded from the dropdown; a queue
+ * that could not be saved on this device can only be dismissed.
+ */
+const SyncIndicator = ({ status, onResolve }) => {
+    const [open, setOpen] = useState(false);
+    if (!status) return null;
+
+    const { state, pending, online, problems } = status;
+    const label = state === 'error'
+        ? `${problems.length} sync error${problems.length === 1 ? '' : 's'}`
+        : state === 'pending' ? `Pending ${pending}${online ? '' : ' (offline)'}` : 'Synced';
+    const style = state === 'error'
+        ? 'bg-red-500 text-white'
+        : state === 'pending' ? 'bg-yellow-400 text-gray-900' : 'bg-blue-600 text-blue-100';
+    const icon = state === 'error' ? 'fa-exclamation-triangle' : state === 'pending' ? 'fa-sync-alt' : 'fa-check-circle';
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setOpen(!open)}
+                disabled={problems.length === 0}
+                className={`px-3 py-1.5 rounded-full text-xs font-medium ${style}`}
+                title={online ? 'Connection online' : 'You are offline; changes are saved locally'}
+            >
+                <i className={`fas ${icon} mr-1`}></i> {label}
+            </button>
+            {open && problems.length > 0 && (
+                <ul className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-2xl border border-gray-100 divide-y divide-gray-100 text-sm">
+                    {problems.map(problem => (
+                        <li key={problem.id} className="p-3">
+                            <p className="font-medium text-gray-800">
+                                {problem.kind === 'storage'
+                                    ? 'Not saved on this device'
+                                    : `${problem.kind === 'conflict' ? 'Edit conflict' : 'Write rejected'}: ${problem.entry.data?.title || problem.entry.data?.name || problem.entry.docId || problem.entry.writes?.[0].docId}`}
+                            </p>
+                            <p className="text-xs text-gray-500 mt-1">{problem.message}</p>
+                            <div className="flex gap-2 mt-2">
+                                {problem.entry && (
+                                    <button onClick={() => onResolve(problem.id, 'retry')} className="text-xs px-2 py-1 bg-blue-600 text-white rounded">
+                                        {problem.kind === 'conflict' ? 'Keep mine' : 'Retry'}
+                                    </button>
+                                )}
+                                <button onClick={() => onResolve(problem.id, 'discard')} className="text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded">
+                                    {problem.entry ? 'Discard' : 'Dismiss'}
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const NOTIFICATION_STYLES = {
+    success: { icon: 'fa-check-circle', className: 'bg-green-50 border-green-300 text-green-800' },
+    info: { icon: 'fa-info-circle', className: 'bg-blue-50 border-blue-300 text-blue-800' },
+    warning: { icon: 'fa-exclamation-triangle', className: 'bg-yellow-50 border-yellow-400 text-yellow-800' },
+    error: { icon: 'fa-times-circle', className: 'bg-red-50 border-red-300 text-red-800' },
+};
+
+/**
+ * The notification queue (see notifications.js), stacked in the bottom corner.
+ * Errors go to an assertive live region and everything else to a polite one; both regions
+ * are always rendered so screen readers pick up the first notification too.
+ */
+const NotificationCenter = () => {
+    const notifications = useNotifications();
+
+    const renderList = (entries, liveProps) => (
+        <ul className="space-y-2" {...liveProps}>
+            {entries.map(({ id, type, text, action }) => (
+                <li
+                    key={id}
+                    onMouseEnter={() => hold(id)}
+                    onMouseLeave={() => release(id)}
+                    onFocus={() => hold(id)}
+                    onBlur={() => release(id)}
+                    className={`flex items-start gap-3 border rounded-lg shadow-lg px-4 py-3 text-sm ${NOTIFICATION_STYLES[type].className}`}
+                >
+                    <i className={`fas ${NOTIFICATION_STYLES[type].icon} mt-0.5`} aria-hidden="true"></i>
+                    <p className="flex-1">{text}</p>
+                    {action && (
+                        <button
+                            onClick={() => { dismiss(id); action.onAction(); }}
+                            className="font-semibold underline hover:no-underline"
+                        >
+                            {action.label}
+                        </button>
+                    )}
+                    <button onClick={() => dismiss(id)} className="opacity-60 hover:opacity-100" aria-label="Dismiss notification">
+                        <i className="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+
+    return (
+        <div className="fixed bottom-4 right-4 z-20 w-[calc(100%-2rem)] max-w-sm space-y-2">
+            {renderList(notifications.filter(entry => entry.type === 'error'), { role: 'alert', 'aria-live': 'assertive' })}
+            {renderList(notifications.filter(entry => entry.type !== 'error'), { role: 'status', 'aria-live': 'polite' })}
+        </div>
+    );
+};
+
+/**
+ * "Load more" control at the end of the blog feed. It also loads the next page by itself
+ * when scrolled into view.
+ */
+const FeedPager = ({ loading, onLoadMore }) => {
+    const sentinel = useRef(null);
+
+    useEffect(() => {
+        if (!sentinel.current || typeof IntersectionObserver === 'undefined') return;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) onLoadMore();
+        }, { rootMargin: '200px' });
+        observer.observe(sentinel.current);
+        return () => observer.disconnect();
+    }, [onLoadMore]);
+
+    return (
+        <div ref={sentinel} className="text-center pt-2">
+            <button
+                onClick={onLoadMore}
+                disabled={loading}
+                className="px-4 py-2 bg-white border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-100 transition duration-150 disabled:opacity-60"
+            >
+                {loading
+                    ? <><i className="fas fa-spinner fa-spin mr-2"></i>Loading...</>
+                    : <><i className="fas fa-chevron-down mr-2"></i>Load more</>}
+            </button>
+        </div>
+    );
+};
+
+/**
+ * Fixed top bar with navigation and search. Declared outside App so the search input keeps focus.
+ */
+const Header = ({ currentPage, syncStatus, onResolveSyncProblem, children }) => (
+    <header className="bg-blue-700 shadow-xl fixed top-0 left-0 right-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 flex flex-wrap justify-between items-center gap-3 py-3">
+            <h1 className="text-2xl font-bold text-white tracking-wide">
+                Gemini Blog & Bookmarks
+            </h1>
+            {children}
+            <div className="flex items-center space-x-4">
+                <SyncIndicator status={syncStatus} onResolve={onResolveSyncProblem} />
+                <a
+                    href={routes.blog()}
+                    className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${currentPage === 'blog' || currentPage === 'post' ? 'bg-white text-blue-700 shadow-md' : 'text-blue-200 hover:text-white hover:bg-blue-600'}`}
+                >
+                    <i className="fas fa-file-alt mr-1"></i> Blog
+                </a>
+                <a
+                    href={routes.bookmarks()}
+                    className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${currentPage === 'bookmarks' ? 'bg-white text-blue-700 shadow-md' : 'text-blue-200 hover:text-white hover:bg-blue-600'}`}
+                >
+                    <i className="fas fa-bookmark mr-1"></i> Bookmarks
+                </a>
+                <a
+                    href={routes.folders()}
+                    className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${currentPage === 'folders' ? 'bg-white text-blue-700 shadow-md' : 'text-blue-200 hover:text-white hover:bg-blue-600'}`}
+                >
+                    <i className="fas fa-folder-open mr-1"></i> Folders
+                </a>
+                <a
+                    href={routes.drafts()}
+                    className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${currentPage === 'drafts' || currentPage === 'draft' ? 'bg-white text-blue-700 shadow-md' : 'text-blue-200 hover:text-white hover:bg-blue-600'}`}
+                >
+                    <i className="fas fa-pencil-ruler mr-1"></i> Drafts
+                </a>
+                <a
+                    href={routes.newPost()}
+                    className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${currentPage === 'new' ? 'bg-yellow-400 text-gray-900 shadow-md' : 'text-blue-200 hover:text-white hover:bg-blue-600'}`}
+                >
+                    <i className="fas fa-plus-circle mr-1"></i> New Post
+                </a>
+                <a
+                    href={routes.account()}
+                    className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${currentPage === 'account' ? 'bg-white text-blue-700 shadow-md' : 'text-blue-200 hover:text-white hover:bg-blue-600'}`}
+                    title="Profile and account"
+                >
+                    <i className="fas fa-user-circle mr-1"></i> Account
+                </a>
+            </div>
+        </div>
+    </header>
+);
+
+// --- Views ---
+// Declared outside App, like Header, so re-rendering App does not remount them and reset the
+// state of what they contain (folder tree, open menus, focused inputs, the feed pager).
+
+/**
+ * The blog feed: visible posts, newest first, with feed downloads and paging.
+ */
+const BlogList = ({ posts, now, profiles, hasMore, loadingMore, onLoadMore, onExportFeed }) => (
+    <div className="space-y-4">
+        <div className="flex flex-wrap justify-between items-center gap-3 border-b pb-2 mb-6">
+            <h2 className="text-3xl font-extrabold text-gray-800">Latest Blog Posts</h2>
+            <div className="flex flex-wrap gap-2" title="Download a feed file to publish or add to a feed reader">
+                {[['atom', 'Atom'], ['rss', 'RSS'], ['json', 'JSON Feed']].map(([format, label]) => (
+                    <button
+                        key={format}
+                        onClick={() => onExportFeed(format)}
+                        className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-100 transition duration-150"
+                    >
+                        <i className="fas fa-rss mr-1 text-orange-500"></i> {label}
+                    </button>
+                ))}
+            </div>
+        </div>
+        {posts.length === 0 ? (
+            <p className="text-gray-500 italic">No posts yet. Be the first to publish one!</p>
+        ) : (
+            posts.map(post => (
+                <a
+                    key={post.id}
+                    href={routes.post(post.id)}
+                    className="block bg-white p-6 rounded-xl shadow-lg hover:shadow-xl transition duration-300 border border-gray-100 cursor-pointer"
+                >
+                    <h3 className="text-xl font-bold text-blue-600">
+                        {post.title}
+                        {post.pending && (
+                            <span className="ml-2 align-middle text-xs font-medium px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full">
+                                <i className="fas fa-clock mr-1"></i>Pending sync
+                            </span>
+                        )}
+                        {!isPublished(post, now) && (
+                            <span className="ml-2 align-middle text-xs font-medium px-2 py-0.5 bg-purple-100 text-purple-800 rounded-full">
+                                <i className="fas fa-calendar-alt mr-1"></i>Scheduled for {post.publishAt.toLocaleString()}
+                            </span>
+                        )}
+                    </h3>
+                    <p className="text-sm text-gray-500 mt-1">
+                        Published by: <span className="font-medium text-gray-700">{displayNameOf(profiles?.[post.authorId], post.authorId)}</span> on {post.timestamp?.toLocaleString()}
+                        {post.updatedAt && <span className="italic"> (edited {post.updatedAt.toLocaleString()})</span>}
+                        <span className="ml-3 whitespace-nowrap"><i className="fas fa-comment mr-1"></i>{post.commentCount || 0}</span>
+                    </p>
+                    <p className="mt-3 text-gray-600 line-clamp-2">{markdownExcerpt(post.content)}</p>
+                </a>
+            ))
+        )}
+        {hasMore && <FeedPager loading={loadingMore} onLoadMore={onLoadMore} />}
+    </div>
+);
+
+/**
+ * A post with its metadata. The author also gets edit and (confirmed) delete buttons.
+ */
+const PostDetail = ({ post, now, profiles, userId, confirmingDelete, onRequestDelete, onCancelDelete, onDelete }) => (
+    <div className="bg-white p-6 rounded-xl shadow-xl">
+        <h2 className="text-3xl font-extrabold text-gray-800 mb-2">{post.title}</h2>
+        <p className="text-sm text-gray-500 mb-6 border-b pb-4">
+            By: <AuthorName userId={post.authorId} profile={profiles?.[post.authorId]} /> | Published: {post.timestamp?.toLocaleString()}
+            {post.updatedAt && <> | Edited: {post.updatedAt.toLocaleString()}</>}
+            {!isPublished(post, now) && <> | <span className="text-purple-700">Scheduled for {post.publishAt.toLocaleString()}</span></>}
+        </p>
+        <MarkdownContent source={post.content} />
+        <div className="mt-8 flex flex-wrap items-center gap-3">
+            <a
+                href={routes.blog()}
+                className="px-4 py-2 bg-blue-500 text-white font-medium rounded-lg hover:bg-blue-600 transition duration-150"
+            >
+                <i className="fas fa-arrow-left mr-2"></i>Back to Blog
+            </a>
+            {/* Edit and delete are only offered to the post's author */}
+            {post.authorId === userId && (
+                confirmingDelete ? (
+                    <>
+                        <span className="text-sm text-red-600 font-medium">Delete this post permanently?</span>
+                        <button
+                            onClick={() => onDelete(post)}
+                            className="px-4 py-2 bg-red-600 text-white font-medium rounded-lg hover:bg-red-700 transition duration-150"
+                        >
+                            <i className="fas fa-trash mr-2"></i>Confirm Delete
+                        </button>
+                        <button
+                            onClick={onCancelDelete}
+                            className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition duration-150"
+                        >
+                            Cancel
+                        </button>
+                    </>
+                ) : (
+                    <>
+                        <a
+                            href={routes.edit(post.id)}
+                            className="px-4 py-2 bg-yellow-400 text-gray-900 font-medium rounded-lg hover:bg-yellow-500 transition duration-150"
+                        >
+                            <i className="fas fa-edit mr-2"></i>Edit
+                        </a>
+                        <button
+                            onClick={onRequestDelete}
+                            className="px-4 py-2 bg-red-100 text-red-700 font-medium rounded-lg hover:bg-red-200 transition duration-150"
+                        >
+                            <i className="fas fa-trash mr-2"></i>Delete
+                        </button>
+                    </>
+                )
+            )}
+        </div>
+    </div>
+);
+
+/**
+ * The user's drafts and their scheduled posts.
+ */
+const DraftList = ({ drafts, scheduledPosts, onDelete }) => (
+    <div className="space-y-6">
+        <div className="flex flex-wrap justify-between items-center gap-3 border-b pb-2">
+            <h2 className="text-3xl font-extrabold text-gray-800">My Drafts</h2>
+            <a
+                href={routes.newPost()}
+                className="px-3 py-1.5 bg-green-500 text-white text-sm font-medium rounded-lg hover:bg-green-600 transition duration-150"
+            >
+                <i className="fas fa-plus mr-1"></i> New Draft
+            </a>
+        </div>
+        <p className="text-sm text-gray-500">Drafts are private to you and saved as you type.</p>
+        {drafts.length === 0 ? (
+            <p className="text-gray-500 italic">No drafts. Anything you start writing under New Post is kept here until you publish it.</p>
+        ) : (
+            <ul className="bg-white rounded-xl shadow-lg border border-gray-100 divide-y divide-gray-100">
+                {drafts.map(draft => (
+                    <li key={draft.id} className="flex justify-between items-center gap-3 p-4">
+                        <a href={routes.draft(draft.id)} className="flex-1 min-w-0 group">
+                            <p className="font-semibold text-gray-800 group-hover:text-blue-600 truncate">{draft.title || 'Untitled draft'}</p>
+                            <p className="text-xs text-gray-500 mt-0.5">
+                                Saved {draft.updatedAt?.toLocaleString()}
+                                {draft.publishAt && <> | Publish at {draft.publishAt.toLocaleString()}</>}
+                                {draft.pending && <span className="ml-2 text-yellow-700"><i className="fas fa-clock mr-1"></i>Pending sync</span>}
+                            </p>
+                            <p className="text-sm text-gray-600 truncate mt-1">{markdownExcerpt(draft.content || '')}</p>
+                        </a>
+                        <a href={routes.draft(draft.id)} className="text-gray-500 hover:text-blue-500 transition duration-150" title="Resume Draft">
+                            <i className="fas fa-pen"></i>
+                        </a>
+                        <button
+                            onClick={() => onDelete(draft.id)}
+                            className="text-red-400 hover:text-red-600 transition duration-150"
+                            title="Delete Draft"
+                        >
+                            <i className="fas fa-trash"></i>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        )}
+
+        {scheduledPosts.length > 0 && (
+            <div>
+                <h3 className="text-xl font-semibold text-gray-700 mb-3">Scheduled</h3>
+                <ul className="bg-white rounded-xl shadow-lg border border-gray-100 divide-y divide-gray-100">
+                    {scheduledPosts.map(post => (
+                        <li key={post.id} className="p-4">
+                            <a href={routes.post(post.id)} className="font-semibold text-gray-800 hover:text-blue-600">{post.title}</a>
+                            <p className="text-xs text-gray-500 mt-0.5">
+                                <i className="fas fa-calendar-alt mr-1"></i>Goes live {post.publishAt.toLocaleString()}
+                            </p>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        )}
+    </div>
+);
+
+/**
+ * The bookmark page: import and export, duplicate and link checks, the add form, the folder
+ * tree and the filtered list. All state lives in App and comes in through props.
+ */
+const BookmarkManager = ({
+    bookmarks, visibleBookmarks, folderTree, folderPaths, tagCounts, duplicateGroups, linkProblemCount,
+    folderFilter, onFolderFilterChange, tagFilter, onTagFilterChange, showDuplicates, onShowDuplicatesChange,
+    showLinkProblems, onShowLinkProblemsChange, selectedIds, onSelectedIdsChange, highlightedId,
+    newBookmark, onNewBookmarkChange, pendingDuplicate, importPreview, linkCheckProgress, ownerName, isGuest,
+    onFileSelect, onImport, onImportCancel, onExport, onMergeDuplicates, onCheckLinks, onAdd, onUrlLookup,
+    onResolveDuplicate, onMove, onFollowRedirect, onInitialSave, onDelete,
+}) => (
+    <div className="space-y-6">
+        <div className="flex flex-wrap justify-between items-center gap-3 border-b pb-2">
+            <h2 className="text-3xl font-extrabold text-gray-800">My Personal Bookmarks</h2>
+            <div className="flex flex-wrap gap-2">
+                <label className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-100 transition duration-150 cursor-pointer">
+                    <i className="fas fa-file-import mr-1"></i> Import
+                    <input type="file" accept=".html,.htm,.json" onChange={onFileSelect} className="hidden" />
+                </label>
+                <button
+                    onClick={() => onExport('html')}
+                    className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-100 transition duration-150"
+                >
+                    <i className="fas fa-file-export mr-1"></i> Export HTML
+                </button>
+                <button
+                    onClick={() => onExport('json')}
+                    className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-100 transition duration-150"
+                >
+                    <i className="fas fa-file-code mr-1"></i> Export JSON
+                </button>
+                <button
+                    onClick={() => onShowDuplicatesChange(!showDuplicates)}
+                    className={`px-3 py-1.5 border text-sm font-medium rounded-lg transition duration-150 ${showDuplicates ? 'bg-orange-100 border-orange-300 text-orange-800' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+                >
+                    <i className="fas fa-clone mr-1"></i> Find Duplicates
+                </button>
+                {linkServiceUrl && (
+                    <button
+                        onClick={onCheckLinks}
+                        disabled={linkCheckProgress !== null}
+                        className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-100 transition duration-150 disabled:opacity-60"
+                    >
+                        <i className={`fas ${linkCheckProgress ? 'fa-spinner fa-spin' : 'fa-heartbeat'} mr-1`}></i>
+                        {linkCheckProgress ? `Checking ${linkCheckProgress.done}/${linkCheckProgress.total}` : 'Check Links'}
+                    </button>
+                )}
+                {linkProblemCount > 0 && (
+                    <button
+                        onClick={() => onShowLinkProblemsChange(!showLinkProblems)}
+                        className={`px-3 py-1.5 border text-sm font-medium rounded-lg transition duration-150 ${showLinkProblems ? 'bg-red-100 border-red-300 text-red-800' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+                    >
+                        <i className="fas fa-unlink mr-1"></i> Link Problems ({linkProblemCount})
+                    </button>
+                )}
+            </div>
+        </div>
+
+        {/* Duplicate Finder */}
+        {showDuplicates && (
+            <div className="bg-orange-50 p-6 rounded-xl shadow-inner border-orange-200 border">
+                <div className="flex flex-wrap justify-between items-center gap-3 mb-1">
+                    <h3 className="text-xl font-semibold text-orange-700">Duplicate Bookmarks</h3>
+                    {duplicateGroups.length > 1 && (
+                        <button
+                            onClick={() => onMergeDuplicates(duplicateGroups)}
+                            className="px-3 py-1.5 bg-orange-600 text-white text-sm font-medium rounded-lg hover:bg-orange-700 transition duration-150 shadow-md"
+                        >
+                            <i className="fas fa-compress-alt mr-1"></i> Merge All ({duplicateGroups.length})
+                        </button>
+                    )}
+                </div>
+                <p className="text-sm text-gray-600 mb-4">
+                    {duplicateGroups.length === 0
+                        ? 'No saved bookmarks point at the same page.'
+                        : 'Merging keeps the oldest bookmark in a group, adds the tags of the others and deletes them.'}
+                </p>
+                <ul className="space-y-3">
+                    {duplicateGroups.map(group => (
+                        <li key={group[0].id} className="bg-white rounded-lg border border-orange-100 p-3">
+                            <div className="flex justify-between items-start gap-3">
+                                <ul className="text-sm min-w-0">
+                                    {group.map((bookmark, index) => (
+                                        <li key={bookmark.id} className={index === 0 ? 'text-gray-800' : 'text-gray-500'}>
+                                            <span className="font-medium">{bookmark.name}</span>
+                                            {bookmark.folder && <span className="text-xs text-gray-400 ml-2"><i className="fas fa-folder mr-1"></i>{bookmark.folder}</span>}
+                                            <span className="block text-xs text-gray-400 break-all">{bookmark.url}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                                <button
+                                    onClick={() => onMergeDuplicates([group])}
+                                    className="shrink-0 px-3 py-1 bg-orange-100 text-orange-800 text-sm font-medium rounded-lg hover:bg-orange-200 transition duration-150"
+                                >
+                                    Merge
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        )}
+
+        {/* Import Preview */}
+        {importPreview && (
+            <div className="bg-green-50 p-6 rounded-xl shadow-inner border-green-200 border">
+                <h3 className="text-xl font-semibold text-green-700 mb-1">Import from '{importPreview.fileName}'</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                    {importPreview.items.filter(item => !item.duplicate && !item.invalid).length} new, {importPreview.items.filter(item => item.duplicate).length} duplicate(s) will be skipped.
+                    {importPreview.items.some(item => item.invalid) && ` ${importPreview.items.filter(item => item.invalid).length} invalid URL(s) will be skipped too.`}
+                </p>
+                <ul className="max-h-64 overflow-y-auto divide-y divide-green-100 bg-white rounded-lg border border-green-100 mb-4">
+                    {importPreview.items.map((item, index) => (
+                        <li key={index} className={`px-3 py-2 text-sm ${item.duplicate || item.invalid ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+                            {item.folder && <span className="text-xs text-gray-400 mr-2"><i className="fas fa-folder mr-1"></i>{item.folder}</span>}
+                            <span className="font-medium">{item.name}</span>
+                            <span className="text-xs text-gray-400 ml-2 break-all">{item.url}</span>
+                        </li>
+                    ))}
+                </ul>
+                <div className="flex gap-3">
+                    <button
+                        onClick={onImport}
+                        className="px-4 py-2 bg-green-600 text-white font-medium rounded-lg hover:bg-green-700 transition duration-150 shadow-md"
+                    >
+                        <i className="fas fa-check mr-1"></i> Import
+                    </button>
+                    <button
+                        onClick={onImportCancel}
+                        className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition duration-150"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        )}
+
+        {/* Bookmark Creation Form */}
+        <div className="bg-blue-50 p-6 rounded-xl shadow-inner border-blue-200 border">
+            <h3 className="text-xl font-semibold text-blue-700 mb-4">Add New Bookmark</h3>
+            <BookmarkForm value={newBookmark} onChange={onNewBookmarkChange} onSubmit={onAdd} onUrlBlur={onUrlLookup} folders={folderPaths} />
+            {pendingDuplicate && (
+                <div className="mt-4 p-3 bg-yellow-50 border border-yellow-300 rounded-lg text-sm text-yellow-900">
+                    <p className="mb-2">
+                        <i className="fas fa-exclamation-triangle mr-1"></i>
+                        You already saved this page as '{bookmarks.find(b => b.id === pendingDuplicate.existingId)?.name}'.
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            onClick={() => onResolveDuplicate('merge')}
+                            className="px-3 py-1 bg-yellow-400 text-gray-900 font-medium rounded-lg hover:bg-yellow-500 transition duration-150"
+                        >
+                            Merge into Existing
+                        </button>
+                        <button
+                            onClick={() => onResolveDuplicate('save')}
+                            className="px-3 py-1 bg-white border border-yellow-300 text-gray-700 font-medium rounded-lg hover:bg-yellow-100 transition duration-150"
+                        >
+                            Save Anyway
+                        </button>
+                        <button
+                            onClick={() => onResolveDuplicate('cancel')}
+                            className="px-3 py-1 text-gray-600 hover:underline"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+
+        <div className="flex flex-col md:flex-row gap-6">
+            {/* Folder Tree */}
+            <aside className="md:w-64 shrink-0 bg-white p-4 rounded-xl shadow-lg border border-gray-100 self-start">
+                <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">Folders</h3>
+                <button
+                    onClick={() => onFolderFilterChange(null)}
+                    className={`w-full text-left px-2 py-1.5 rounded-lg text-sm ${folderFilter === null ? 'bg-blue-100 text-blue-800 font-semibold' : 'text-gray-700 hover:bg-gray-100'}`}
+                >
+                    <i className="fas fa-layer-group mr-2 text-blue-500"></i>All Bookmarks
+                    <span className="text-xs text-gray-400 ml-2">{bookmarks.length}</span>
+                </button>
+                <ul className="mt-1">
+                    <FolderTree
+                        node={{ ...folderTree, name: 'Top level', count: bookmarks.filter(b => !b.folder).length }}
+                        selected={folderFilter}
+                        onSelect={onFolderFilterChange}
+                        onDropBookmark={onMove}
+                    />
+                </ul>
+            </aside>
+
+            {/* Bookmark List */}
+            <div className="flex-1 min-w-0 bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-100">
+                {tagCounts.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mb-4">
+                        {tagCounts.map(({ tag, count }) => (
+                            <button
+                                key={tag}
+                                onClick={() => onTagFilterChange(tagFilter === tag ? null : tag)}
+                                className={`text-xs px-2 py-1 rounded-full transition duration-150 ${tagFilter === tag ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                            >
+                                #{tag} <span className="opacity-70">{count}</span>
+                            </button>
+                        ))}
+                    </div>
+                )}
+                {(folderFilter !== null || tagFilter || showLinkProblems) && (
+                    <p className="text-sm text-gray-500 mb-2">
+                        Showing {visibleBookmarks.length} of {bookmarks.length}
+                        {folderFilter !== null && <> in <span className="font-medium">{folderFilter || 'Top level'}</span></>}
+                        {tagFilter && <> tagged <span className="font-medium">#{tagFilter}</span></>}
+                        {showLinkProblems && <> with <span className="font-medium">link problems</span></>}
+                        <button
+                            onClick={() => { onFolderFilterChange(null); onTagFilterChange(null); onShowLinkProblemsChange(false); }}
+                            className="ml-2 text-blue-600 hover:underline"
+                        >
+                            Clear filters
+                        </button>
+                    </p>
+                )}
+                {visibleBookmarks.length > 0 && (
+                    <p className="text-xs text-gray-500 mb-2">
+                        <button
+                            onClick={() => onSelectedIdsChange([...new Set([...selectedIds, ...visibleBookmarks.map(b => b.id)])])}
+                            className="text-purple-700 hover:underline"
+                        >
+                            Select all shown
+                        </button>
+                        {selectedIds.length > 0 && (
+                            <> · {selectedIds.length} selected · <button onClick={() => onSelectedIdsChange([])} className="text-purple-700 hover:underline">Clear selection</button></>
+                        )}
+                    </p>
+                )}
+                {visibleBookmarks.length === 0 ? (
+                    <p className="text-gray-500 italic">{bookmarks.length === 0 ? 'No bookmarks saved yet.' : 'No bookmarks match the current filters.'}</p>
+                ) : (
+                    <ul className="divide-y divide-gray-100">
+                        {visibleBookmarks.map((bookmark) => {
+                            const hostname = hostnameOf(bookmark.url);
+                            const problem = linkProblemOf(bookmark);
+                            return (
+                                <li
+                                    key={bookmark.id}
+                                    id={`bookmark-${bookmark.id}`}
+                                    draggable
+                                    onDragStart={(e) => e.dataTransfer.setData(BOOKMARK_DRAG_TYPE, bookmark.id)}
+                                    className={`flex justify-between items-center py-3 gap-2 ${bookmark.id === highlightedId ? 'bg-yellow-50 rounded-lg px-2 ring-2 ring-yellow-300' : ''}`}
+                                >
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedIds.includes(bookmark.id)}
+                                        onChange={() => onSelectedIdsChange(selectedIds.includes(bookmark.id) ? selectedIds.filter(id => id !== bookmark.id) : [...selectedIds, bookmark.id])}
+                                        className="shrink-0 accent-purple-600"
+                                        title="Select to share in a collection"
+                                    />
+                                    <div className="flex-1 min-w-0">
+                                        {hostname ? (
+                                            <a
+                                                href={bookmark.url}
+                                                target="_blank"
+                                                rel="noopener noreferrer"
+                                                className="block font-medium text-gray-800 hover:text-blue-600 truncate"
+                                            >
+                                                {httpUrlOf(bookmark.favicon) && (
+                                                    <img
+                                                        src={httpUrlOf(bookmark.favicon)}
+                                                        alt=""
+                                                        loading="lazy"
+                                                        onError={(e) => { e.currentTarget.style.visibility = 'hidden'; }}
+                                                        className="inline-block w-4 h-4 mr-2 align-text-bottom"
+                                                    />
+                                                )}
+                                                {bookmark.name}
+                                                <span className="text-xs text-gray-400 ml-2 group-hover:text-blue-500">({hostname})</span>
+                                            </a>
+                                        ) : (
+                                            // Saved before URLs were validated; shown but never linked
+                                            <span className="block font-medium text-gray-800 truncate" title={bookmark.url}>
+                                                {bookmark.name}
+                                                <span className="text-xs px-1.5 ml-2 rounded-full bg-red-50 text-red-600">invalid URL</span>
+                                            </span>
+                                        )}
+                                        {bookmark.description && <p className="text-xs text-gray-500 truncate">{bookmark.description}</p>}
+                                        {(bookmark.folder || bookmark.tags?.length > 0) && (
+                                            <div className="flex flex-wrap items-center gap-1 mt-1">
+                                                {bookmark.folder && (
+                                                    <span className="text-xs text-gray-400 mr-1"><i className="fas fa-folder mr-1"></i>{bookmark.folder}</span>
+                                                )}
+                                                {(bookmark.tags || []).map(tag => (
+                                                    <button
+                                                        key={tag}
+                                                        onClick={() => onTagFilterChange(tag)}
+                                                        className="text-xs px-1.5 rounded-full bg-gray-100 text-gray-600 hover:bg-blue-100"
+                                                    >
+                                                        #{tag}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+
+                                    <div className="flex items-center space-x-2">
+                                        {problem && (
+                                            <span
+                                                className={`text-xs px-2 py-1 rounded-full whitespace-nowrap ${problem.kind === 'broken' ? 'bg-red-50 text-red-700' : 'bg-orange-50 text-orange-700'}`}
+                                                title={problem.detail}
+                                            >
+                                                <i className={`fas ${problem.kind === 'broken' ? 'fa-unlink' : 'fa-directions'} mr-1`}></i>{problem.label}
+                                            </span>
+                                        )}
+                                        {problem?.kind === 'redirected' && (
+                                            <button
+                                                onClick={() => onFollowRedirect(bookmark)}
+                                                className="text-xs px-2 py-1 bg-orange-100 text-orange-800 rounded-full hover:bg-orange-200 transition duration-150 whitespace-nowrap"
+                                                title={problem.detail}
+                                            >
+                                                Use New URL
+                                            </button>
+                                        )}
+                                        {bookmark.pending && (
+                                            <span className="text-xs px-2 py-1 bg-yellow-50 text-yellow-700 rounded-full" title="Waiting to sync">
+                                                <i className="fas fa-clock"></i> Pending
+                                            </span>
+                                        )}
+                                        {!bookmark.saved && (
+                                            <button
+                                                onClick={() => onInitialSave(bookmark)}
+                                                className="text-xs px-2 py-1 bg-yellow-100 text-yellow-800 rounded-full hover:bg-yellow-200 transition duration-150"
+                                                title="Save to Storage"
+                                            >
+                                                <i className="fas fa-cloud-upload-alt"></i> Save Initial
+                                            </button>
+                                        )}
+                                        <MoveToFolder
+                                            currentFolder={bookmark.folder}
+                                            onMove={(folder) => onMove(bookmark.id, folder)}
+                                        />
+                                        {hostname && (
+                                            <a
+                                                href={bookmark.url}
+                                                target="_blank"
+                                                rel="noopener noreferrer"
+                                                className="text-gray-500 hover:text-blue-500 transition duration-150"
+                                                title="Visit Link"
+                                            >
+                                                <i className="fas fa-external-link-alt"></i>
+                                            </a>
+                                        )}
+                                        <button
+                                            onClick={() => onDelete(bookmark.id)}
+                                            className="text-red-400 hover:text-red-600 transition duration-150"
+                                            title="Delete Bookmark"
+                                        >
+                                            <i className="fas fa-trash"></i>
+                                        </button>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+        </div>
+
+        <p className="text-sm text-gray-500 mt-4 p-4 bg-gray-100 rounded-lg">
+            Bookmarks are private to <span className="font-medium text-gray-700">{ownerName}</span>.
+            {isGuest && (
+                <> You are using a guest account, so they are lost if this browser is cleared. <a href={routes.account()} className="text-blue-600 hover:underline">Add an email to keep them.</a></>
+            )}
+        </p>
+    </div>
+);
+
+/**
+ * A user's public profile and their posts (`posts` is null while they load).
+ */
+const ProfileView = ({ profileId, profile, posts, userId }) => (
+    <div className="space-y-6">
+        <div className="bg-white p-6 rounded-xl shadow-xl flex flex-wrap items-center gap-4">
+            <Avatar profile={profile} userId={profileId} size="w-20 h-20 text-3xl" />
+            <div className="flex-1 min-w-0">
+                <h2 className="text-3xl font-extrabold text-gray-800">{displayNameOf(profile, profileId)}</h2>
+                {profile?.bio && <p className="text-gray-600 mt-1 whitespace-pre-line">{profile.bio}</p>}
+            </div>
+            {profileId === userId && (
+                <a
+                    href={routes.account()}
+                    className="px-4 py-2 bg-yellow-400 text-gray-900 font-medium rounded-lg hover:bg-yellow-500 transition duration-150"
+                >
+                    <i className="fas fa-user-edit mr-2"></i>Edit Profile
+                </a>
+            )}
+        </div>
+        <h3 className="text-xl font-semibold text-gray-700">Posts</h3>
+        {!posts ? (
+            <p className="text-gray-500 italic">Loading posts...</p>
+        ) : posts.length === 0 ? (
+            <p className="text-gray-500 italic">No posts yet.</p>
+        ) : (
+            <ul className="bg-white rounded-xl shadow-lg border border-gray-100 divide-y divide-gray-100">
+                {posts.map(post => (
+                    <li key={post.id} className="p-4">
+                        <a href={routes.post(post.id)} className="font-semibold text-blue-600 hover:underline">{post.title}</a>
+                        <p className="text-xs text-gray-500 mt-0.5">
+                            {post.timestamp?.toLocaleString()}
+                            <span className="ml-3"><i className="fas fa-comment mr-1"></i>{post.commentCount || 0}</span>
+                        </p>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </div>
+);
+
+/**
+ * A shared bookmark collection, marking the links the viewer already has.
+ */
+const CollectionView = ({ collection, profiles, userId, bookmarks, onCopy, onEdit }) => {
+    const ownedUrls = new Set(bookmarks.filter(b => b.saved).map(b => urlKey(b.url)));
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-6 rounded-xl shadow-xl">
+                <div className="flex flex-wrap justify-between items-start gap-3 border-b pb-4 mb-4">
+                    <div>
+                        <h2 className="text-3xl font-extrabold text-gray-800"><i className="fas fa-share-alt mr-2 text-purple-400"></i>{collection.name}</h2>
+                        {collection.description && <p className="text-gray-600 mt-1">{collection.description}</p>}
+                        <p className="text-sm text-gray-500 mt-2">
+                            Shared by <AuthorName userId={collection.ownerId} profile={profiles?.[collection.ownerId]} /> · Updated {collection.updatedAt?.toLocaleString()}
+                        </p>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            onClick={() => onCopy(collection)}
+                            className="px-4 py-2 bg-green-600 text-white font-medium rounded-lg hover:bg-green-700 transition duration-150 shadow-md"
+                        >
+                            <i className="fas fa-copy mr-1"></i> Copy to My Bookmarks
+                        </button>
+                        {collection.ownerId === userId && (
+                            <button
+                                onClick={() => onEdit(collection)}
+                                className="px-4 py-2 bg-yellow-400 text-gray-900 font-medium rounded-lg hover:bg-yellow-500 transition duration-150"
+                            >
+                                <i className="fas fa-edit mr-1"></i> Change Contents
+                            </button>
+                        )}
+                    </div>
+                </div>
+                <ul className="divide-y divide-gray-100">
+                    {collection.items.map((item, index) => (
+                        <li key={index} className="py-3">
+                            {hostnameOf(item.url) ? (
+                                <a href={item.url} target="_blank" rel="noopener noreferrer" className="font-medium text-gray-800 hover:text-blue-600">
+                                    {item.name}
+                                </a>
+                            ) : (
+                                <span className="font-medium text-gray-800">{item.name}</span>
+                            )}
+                            {ownedUrls.has(urlKey(item.url)) && <span className="ml-2 text-xs text-green-700"><i className="fas fa-check mr-1"></i>In your bookmarks</span>}
+                            <p className="text-xs text-gray-400 break-all">{item.url}</p>
+                            {(item.folder || item.tags?.length > 0) && (
+                                <p className="text-xs text-gray-500 mt-0.5">
+                                    {item.folder && <span className="mr-2"><i className="fas fa-folder mr-1"></i>{item.folder}</span>}
+                                    {(item.tags || []).map(tag => <span key={tag} className="mr-1">#{tag}</span>)}
+                                </p>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Shown for unknown routes and for posts, drafts or collections that do not exist.
+ */
+const NotFound = ({ title, detail }) => (
+    <div className="bg-white p-10 rounded-xl shadow-xl text-center">
+        <i className="fas fa-map-signs text-5xl text-gray-300"></i>
+        <h2 className="text-2xl font-extrabold text-gray-800 mt-4">{title}</h2>
+        <p className="text-gray-500 mt-2">{detail}</p>
+        <a
+            href={routes.blog()}
+            className="inline-block mt-6 px-4 py-2 bg-blue-500 text-white font-medium rounded-lg hover:bg-blue-600 transition duration-150"
+        >
+            <i className="fas fa-arrow-left mr-2"></i>Back to Blog
+        </a>
+    </div>
+);
+
+const LoadingView = ({ label }) => (
+    <div className="text-center py-20">
+        <i className="fas fa-spinner fa-spin text-4xl text-blue-500"></i>
+        <p className="mt-4 text-gray-600">{label}</p>
+    </div>
+);
+
 /**
  * Main application component combining Blog and Bookmark features.
- * Uses signals/state for simple client-side routing.
+ * Uses hash-based routes (see router.js) for client-side routing.
  */
 const App = () => {
     // --- State Management ---
-    const [db, setDb] = useState(null);
+    const [storage, setStorage] = useState(null);
+    const [firestoreStorage, setFirestoreStorage] = useState(null); // Wrapped per user in the offline write queue
     const [auth, setAuth] = useState(null);
     const [userId, setUserId] = useState(null);
+    const [account, setAccount] = useState(null); // { isAnonymous, email } when signed in through Firebase
     const [isAuthReady, setIsAuthReady] = useState(false);
 
-    const [currentPage, setCurrentPage] = useState('blog'); // 'blog', 'post', 'bookmarks'
-    const [posts, setPosts] = useState([]);
+    const route = useHashRoute(); // 'blog', 'post', 'edit', 'new', 'drafts', 'draft', 'bookmarks', 'profile', 'account', 'notFound'
+    const [feedPosts, setFeedPosts] = useState([]); // Loaded feed pages, up to `publishedUntil`
+    const [ownPosts, setOwnPosts] = useState([]); // Everything the user wrote, scheduled posts included
+    const [publishedUntil, setPublishedUntil] = useState(publishedBound);
+    const [feedCursor, setFeedCursor] = useState(null); // { oldest, hasMore } once the first page is in
+    const [loadingMorePosts, setLoadingMorePosts] = useState(false);
     const [bookmarks, setBookmarks] = useState([]);
+    const [drafts, setDrafts] = useState(null); // null until the first snapshot arrives
+    const [folderSnapshots, setFolderSnapshots] = useState(null); // null until loaded on the Folders page
+    const [profiles, setProfiles] = useState(null); // { [userId]: profile }, null until loaded
+    const [profilePosts, setProfilePosts] = useState(null); // { userId, posts } for the profile page
+
+    const [directPost, setDirectPost] = useState(null); // { id, post } fetched by id when not in `posts`
+    // Editor contents; `draftId` names the stored draft once the first autosave has run
+    const [newPost, setNewPost] = useState(emptyDraft);
+    const [draftStatus, setDraftStatus] = useState(null); // 'saving', 'saved', 'error'
+    const [now, setNow] = useState(() => new Date()); // Advanced when a scheduled post comes due
+    const savedDraft = useRef(draftSnapshot(emptyDraft)); // Snapshot of the editor as last saved
+    const unsavedDraft = useRef(null); // { id, value } waiting for the autosave delay
+    const [pendingDeletePostId, setPendingDeletePostId] = useState(null);
+    const [newBookmark, setNewBookmark] = useState({ name: '', url: '', folder: '', tags: '' });
+    const [bookmarkFolderFilter, setBookmarkFolderFilter] = useState(null); // null shows all folders
+    const [bookmarkTagFilter, setBookmarkTagFilter] = useState(null);
+    const [importPreview, setImportPreview] = useState(null); // { fileName, format, items }
+    const [highlightedBookmarkId, setHighlightedBookmarkId] = useState(null);
+    const [pendingDuplicate, setPendingDuplicate] = useState(null); // { candidate, existingId } awaiting a decision
+    const [showDuplicates, setShowDuplicates] = useState(false);
+    const [linkCheckProgress, setLinkCheckProgress] = useState(null); // { done, total } while links are checked
+    const [showLinkProblems, setShowLinkProblems] = useState(false);
+    const [selectedBookmarkIds, setSelectedBookmarkIds] = useState([]); // Picked for a shared collection
+    const [editingCollectionId, setEditingCollectionId] = useState(null);
+    const [myCollections, setMyCollections] = useState([]);
+    const [openCollection, setOpenCollection] = useState(null); // { id, collection } fetched for #/collection/:id
+
+    // Search index over posts and bookmarks, kept in sync by the snapshot listeners below
+    const [searchIndex] = useState(createSearchIndex);
+    const [searchVersion, setSearchVersion] = useState(0);
+    const [syncStatus, setSyncStatus] = useState(null); // Only set when writes go through the offline queue
+    const [editBase, setEditBase] = useState(null); // { postId, version } the open edit is based on
+    const [loading, setLoading] = useState(true);
+
+    // --- Storage Initialization and Authentication ---
+    useEffect(() => {
+        if (storageBackend !== 'firestore') {
+            // Local backends need no sign-in; the browser keeps a stable user id
+            setStorage(createLocalStorage({ persistence: storageBackend, databaseName: `kalari-${appId}` }));
+            setUserId(getLocalUserId());
+            setIsAuthReady(true);
+            setLoading(false);
+            return;
+        }
+
+        try {
+            const app = initializeApp(firebaseConfig);
+            // Writes Firestore has taken survive a reload, which the offline write queue relies on
+            const firestore = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+            const firebaseAuth = getAuth(app);
+            if (authEmulatorUrl) connectAuthEmulator(firebaseAuth, authEmulatorUrl);
+
+            setFirestoreStorage(createFirestoreStorage(firestore, appId));
+            setAuth(firebaseAuth);
+
+            // Log in with custom token or anonymously
+            const authenticate = async () => {
+                try {
+                    if (initialAuthToken) {
+                        await signInWithCustomToken(firebaseAuth, initialAuthToken);
+                    } else {
+                        await signInAnonymously(firebaseAuth);
+                    }
+                } catch (error) {
+                    console.error("Firebase Auth Error:", error);
+                    notify.error("Authentication failed. Check console for details.");
+                }
+            };
+
+            authenticate();
+
+            // Auth state listener
+            const unsubscribe = onAuthStateChanged(firebaseAuth, (user) => {
+                if (user) {
+                    setUserId(user.uid);
+                    setAccount({ isAnonymous: user.isAnonymous, email: user.email });
+                } else {
+                    setUserId(null);
+                    setAccount(null);
+                }
+                setIsAuthReady(true);
+                setLoading(false);
+            });
+
+            return () => unsubscribe();
+        } catch (e) {
+            console.error("Failed to initialize Firebase:", e);
+            notify.error("Error initializing Firebase. Please check your configuration.");
+            setLoading(false);
+        }
+    }, []);
+
+    // --- Offline Write Queue ---
+    // Writes are queued durably so they survive going offline or reloading. Each user has their
+    // own queue: when someone else signs in, what is still queued waits for its owner instead of
+    // being sent under the new account. Linking a guest to an email keeps the uid, and the queue.
+    useEffect(() => {
+        if (!firestoreStorage || !userId) return;
+
+        const syncedStorage = createSyncedStorage(firestoreStorage, { storageKey: `kalari-sync-queue-${appId}-${userId}` });
+        setStorage(syncedStorage);
+
+        return () => {
+            syncedStorage.close();
+            setStorage(null);
+        };
+    }, [firestoreStorage, userId]);
+
+    useEffect(() => {
+        if (!storage?.onSyncStatus) return;
+        return storage.onSyncStatus(setSyncStatus);
+    }, [storage]);
+
+    // --- Data Listeners (Blog Posts - Public) ---
+    // The first page is read once to find where it ends. The listener then covers everything
+    // from the newest post down to the oldest loaded one, so new posts join at the top without
+    // pushing loaded ones out, and "Load more" extends it a page at a time.
+    // Feed queries stop at `publishedUntil`; the user's own newer posts come from ownPosts.
+    useEffect(() => {
+        const timer = setInterval(() => setPublishedUntil(publishedBound()), PUBLISHED_BOUND_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    useEffect(() => {
+        if (!isAuthReady || !storage) return;
+
+        let cancelled = false;
+
+        storage.posts().list({ where: [['timestamp', '<=', publishedBound()]], orderBy: FEED_ORDER, limit: FEED_PAGE_SIZE }).then((items) => {
+            if (!cancelled) setFeedCursor({ oldest: items.at(-1) ?? null, hasMore: items.length === FEED_PAGE_SIZE });
+        }).catch((error) => {
+            console.error("Error loading blog posts:", error);
+            // Fall back to listening to the whole feed
+            if (!cancelled) setFeedCursor({ oldest: null, hasMore: false });
+        });
+
+        return () => { cancelled = true; };
+    }, [storage, isAuthReady]);
+
+    useEffect(() => {
+        if (!storage || !feedCursor) return;
+
+        const where = [['timestamp', '<=', publishedUntil]];
+        const options = feedCursor.hasMore ? { where, orderBy: FEED_ORDER, endAt: feedCursor.oldest } : { where, orderBy: FEED_ORDER };
+        const unsubscribe = storage.posts().subscribe(options, (items, changes) => {
+            changes.forEach(({ type, item }) => {
+                if (type === 'removed') {
+                    searchIndex.remove('post', item.id);
+                } else {
+                    searchIndex.upsert({ type: 'post', id: item.id, title: item.title, body: markdownExcerpt(item.content, Infinity) });
+                }
+            });
+            setSearchVersion(v => v + 1);
+
+            setFeedPosts(items.map(toPost)); // Already newest first
+        }, (error) => {
+            console.error("Error listening to blog posts:", error);
+            notify.error("Failed to load blog posts.");
+        });
+
+        return () => unsubscribe();
+    }, [storage, feedCursor, searchIndex, publishedUntil]);
+
+    useEffect(() => {
+        if (!isAuthReady || !storage || !userId) return;
+
+        const unsubscribe = storage.posts().subscribe({ where: [['authorId', '==', userId]] }, (items, changes) => {
+            changes.forEach(({ type, item }) => {
+                if (type === 'removed') {
+                    searchIndex.remove('post', item.id);
+                } else {
+                    searchIndex.upsert({ type: 'post', id: item.id, title: item.title, body: markdownExcerpt(item.content, Infinity) });
+                }
+            });
+            setSearchVersion(v => v + 1);
+
+            setOwnPosts(items.map(toPost));
+        }, (error) => {
+            console.error("Error listening to your posts:", error);
+            notify.error("Failed to load your posts.");
+        });
+
+        return () => unsubscribe();
+    }, [storage, isAuthReady, userId, searchIndex]);
+
+    // The user's posts past the feed's bound (scheduled, or just written) are newer than
+    // everything in the feed, so they go on top
+    const posts = useMemo(() => [
+        ...ownPosts.filter(p => !(p.timestamp <= publishedUntil)).sort((a, b) => b.timestamp - a.timestamp),
+        ...feedPosts,
+    ], [ownPosts, feedPosts, publishedUntil]);
+
+    const handleLoadMorePosts = useCallback(async () => {
+        if (!storage || !feedCursor?.hasMore || loadingMorePosts) return;
+        setLoadingMorePosts(true);
+
+        try {
+            const items = await storage.posts().list({
+                where: [['timestamp', '<=', publishedUntil]],
+                orderBy: FEED_ORDER,
+                startAfter: feedCursor.oldest,
+                limit: FEED_PAGE_SIZE,
+            });
+            setFeedCursor({ oldest: items.at(-1) ?? feedCursor.oldest, hasMore: items.length === FEED_PAGE_SIZE });
+        } catch (error) {
+            console.error("Error loading more posts:", error);
+            notify.error("Failed to load more posts.");
+        } finally {
+            setLoadingMorePosts(false);
+        }
+    }, [storage, feedCursor, loadingMorePosts, publishedUntil]);
+
+    // --- Post Selected by the Route ---
+    const routePostId = route.name === 'post' || route.name === 'edit' ? route.id : null;
+    const selectedPost = useMemo(() => {
+        if (!routePostId) return null;
+        const listed = posts.find(p => p.id === routePostId);
+        if (listed) return listed;
+        return directPost?.id === routePostId ? directPost.post : null;
+    }, [routePostId, posts, directPost]);
+
+    // Deep links can point at a post the feed listener has not delivered yet, so fetch it by id
+    useEffect(() => {
+        if (!isAuthReady || !storage || !routePostId) return;
+        if (posts.some(p => p.id === routePostId) || directPost?.id === routePostId) return;
+
+        let cancelled = false;
+
+        storage.posts().get(routePostId).then((post) => {
+            if (!cancelled) setDirectPost({ id: routePostId, post: post ? toPost(post) : null });
+        }).catch((error) => {
+            console.error("Error loading post:", error);
+            if (!cancelled) setDirectPost({ id: routePostId, post: null });
+        });
+
+        return () => { cancelled = true; };
+    }, [storage, isAuthReady, routePostId, posts, directPost]);
+
+    // Start from a clean form and no pending confirmation whenever the route changes
+    useEffect(() => {
+        setPendingDeletePostId(null);
+        if (route.name === 'new') {
+            setNewPost(emptyDraft);
+            setDraftStatus(null);
+            savedDraft.current = draftSnapshot(emptyDraft);
+        }
+    }, [route]);
+
+    // Pre-fill the editor once the post being edited is available
+    useEffect(() => {
+        if (route.name === 'edit' && selectedPost && selectedPost.authorId === userId) {
+            setNewPost({ title: selectedPost.title, content: selectedPost.content });
+            // Remember which version the edit started from so concurrent edits are detected. A version
+            // read back after our own last save wins over an older one the listener has not replaced yet.
+            setEditBase(prev => (prev?.postId === selectedPost.id && prev.version > selectedPost.version
+                ? prev
+                : { postId: selectedPost.id, version: selectedPost.version }));
+        }
+    }, [route.name, selectedPost?.id, userId]);
+
+    // --- Data Listeners (Profiles - Public) ---
+    useEffect(() => {
+        if (!isAuthReady || !storage) return;
+
+        const unsubscribe = storage.profiles().subscribe({}, (items) => {
+            setProfiles(Object.fromEntries(items.map(profile => [profile.id, profile])));
+        }, (error) => {
+            console.error("Error listening to profiles:", error);
+            notify.error("Failed to load user profiles.");
+        });
+
+        return () => unsubscribe();
+    }, [storage, isAuthReady]);
+
+    // Posts by the user whose profile is open, newest first
+    const profileUserId = route.name === 'profile' ? route.id : null;
+    useEffect(() => {
+        if (!isAuthReady || !storage || !profileUserId) return;
+
+        // Other people's scheduled posts are left out by the bound. Sorted here rather than by the
+        // query, which would need another composite index (see firestore.indexes.json).
+        const where = [['authorId', '==', profileUserId], ...(profileUserId === userId ? [] : [['timestamp', '<=', publishedUntil]])];
+        const unsubscribe = storage.posts().subscribe({ where }, (items) => {
+            setProfilePosts({ userId: profileUserId, posts: items.map(toPost).sort((a, b) => b.timestamp - a.timestamp) });
+        }, (error) => {
+            console.error("Error listening to profile posts:", error);
+            notify.error("Failed to load this user's posts.");
+        });
+
+        return () => unsubscribe();
+    }, [storage, isAuthReady, profileUserId, userId, publishedUntil]);
+
+    // --- Drafts (Private, Autosaved) ---
+    useEffect(() => {
+        if (!isAuthReady || !storage || !userId) return;
+
+        const unsubscribe = storage.drafts(userId).subscribe({ orderBy: ['updatedAt', 'desc'] }, (items) => {
+            setDrafts(items);
+        }, (error) => {
+            console.error("Error listening to drafts:", error);
+            notify.error("Failed to load drafts.");
+        });
+
+        return () => unsubscribe();
+    }, [storage, isAuthReady, userId]);
+
+    const saveDraft = useCallback(async (id, value) => {
+        if (!storage || !userId) return;
+        setDraftStatus('saving');
+
+        try {
+            await storage.drafts(userId).set(id, {
+                title: value.title,
+                content: value.content,
+                publishAt: parsePublishAt(value.publishAt),
+                updatedAt: SERVER_TIME,
+            });
+            setDraftStatus('saved');
+        } catch (error) {
+            console.error("Error saving draft: ", error);
+            setDraftStatus('error');
+        }
+    }, [storage, userId]);
+
+    // The editor belongs to the route's draft, or to no draft yet on #/new
+    const routeDraftId = route.name === 'draft' ? route.id : null;
+    const routeDraft = routeDraftId ? drafts?.find(d => d.id === routeDraftId) : null;
+    const editingDraft = (route.name === 'new' || route.name === 'draft') && (newPost.draftId || null) === routeDraftId;
+
+    // Load a draft into the editor when it is opened by link
+    useEffect(() => {
+        if (!routeDraft || newPost.draftId === routeDraft.id) return;
+        const value = { title: routeDraft.title, content: routeDraft.content, publishAt: toDateTimeLocal(routeDraft.publishAt) };
+        savedDraft.current = draftSnapshot(value);
+        setNewPost({ ...value, draftId: routeDraft.id });
+        setDraftStatus(null);
+    }, [routeDraft?.id, newPost.draftId]);
+
+    // Autosave once typing pauses. The first save gives the draft its id and moves the URL to it,
+    // so a reload or the back button resumes the same draft.
+    useEffect(() => {
+        unsavedDraft.current = null;
+        if (!editingDraft || !storage || !userId) return;
+        if (draftSnapshot(newPost) === savedDraft.current) return;
+
+        const id = newPost.draftId || generateId();
+        unsavedDraft.current = { id, value: newPost };
+
+        const timer = setTimeout(() => {
+            unsavedDraft.current = null;
+            if (draftSnapshot(newPost) === savedDraft.current) return; // Published in the meantime
+            savedDraft.current = draftSnapshot(newPost);
+            saveDraft(id, newPost);
+            if (!newPost.draftId) {
+                setNewPost(prev => ({ ...prev, draftId: id }));
+                navigate(routes.draft(id), { replace: true });
+            }
+        }, DRAFT_AUTOSAVE_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [editingDraft, storage, userId, newPost, saveDraft]);
+
+    // Leaving the editor saves whatever the autosave delay was still holding back
+    useEffect(() => () => {
+        if (!unsavedDraft.current) return;
+        const { id, value } = unsavedDraft.current;
+        unsavedDraft.current = null;
+        savedDraft.current = draftSnapshot(value);
+        saveDraft(id, value);
+    }, [route, saveDraft]);
+
+    // --- Scheduled Posts ---
+    // Re-render when the next scheduled post comes due so it appears without a reload
+    useEffect(() => {
+        const upcoming = posts
+            .map(p => p.publishAt?.getTime())
+            .filter(time => time > now.getTime());
+        if (upcoming.length === 0) return;
+
+        const timer = setTimeout(() => setNow(new Date()), Math.min(Math.min(...upcoming) - Date.now(), MAX_TIMER_DELAY));
+        return () => clearTimeout(timer);
+    }, [posts, now]);
+
+    // Everyone sees published posts; authors also see their own scheduled ones
+    const canSeePost = useCallback((post) => isPublished(post, now) || post.authorId === userId, [now, userId]);
+    const visiblePosts = useMemo(() => posts.filter(canSeePost), [posts, canSeePost]);
+    const scheduledPosts = useMemo(() => posts.filter(p => p.authorId === userId && !isPublished(p, now)), [posts, userId, now]);
+
+    // --- Data Listeners (Bookmarks - Private) ---
+    useEffect(() => {
+        if (!isAuthReady || !storage || !userId) {
+            // If authenticated and user ID is available, and there are no bookmarks,
+            // initialize with static data and prompt to save.
+            if (isAuthReady && userId && bookmarks.length === 0) {
+                setBookmarks(initialBookmarksData);
+            }
+            return;
+        }
+
+        const unsubscribe = storage.bookmarks(userId).subscribe({}, (items, changes) => {
+            const fetchedBookmarks = items.map(b => ({ ...b, addedAt: b.addedAt ?? null }));
+
+            changes.forEach(({ type, item }) => {
+                if (type === 'removed') {
+                    searchIndex.remove('bookmark', item.id);
+                } else {
+                    searchIndex.upsert(bookmarkSearchDoc(item));
+                }
+            });
+
+            if (fetchedBookmarks.length === 0) {
+                 // Load initial data if none are saved yet
+                setBookmarks(initialBookmarksData.map(b => ({ ...b, saved: false })));
+                initialBookmarksData.forEach(b => searchIndex.upsert(bookmarkSearchDoc(b)));
+            } else {
+                setBookmarks(fetchedBookmarks.map(b => ({ ...b, saved: true })));
+                initialBookmarksData.forEach(b => searchIndex.remove('bookmark', b.id));
+            }
+            setSearchVersion(v => v + 1);
+        }, (error) => {
+            console.error("Error listening to bookmarks:", error);
+            notify.error("Failed to load bookmarks.");
+        });
+
+        return () => unsubscribe();
+    }, [storage, isAuthReady, userId, searchIndex]);
+
+    // --- Handlers for Blog ---
+    const handlePostSubmit = useCallback(async (e) => {
+        e.preventDefault();
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        if (!newPost.title || !newPost.content) return notify.warning("Title and content are required.");
+
+        const publishAt = parsePublishAt(newPost.publishAt);
+        const scheduled = publishAt > new Date();
+
+        // Hold back the autosave so the draft is not written again while it is being published
+        savedDraft.current = draftSnapshot(newPost);
+        unsavedDraft.current = null;
+
+        try {
+            const postId = generateId();
+            const published = await storage.posts().set(postId, {
+                title: newPost.title,
+                content: newPost.content,
+                authorId: userId,
+                // A scheduled post takes its place in the feed at its publish time
+                timestamp: scheduled ? publishAt : SERVER_TIME,
+                ...(scheduled && { publishAt }),
+            });
+            await storage.revisions(postId).add(revisionOf(newPost, userId));
+            if (newPost.draftId) await storage.drafts(userId).remove(newPost.draftId);
+            setNewPost(emptyDraft);
+            navigate(routes.post(postId));
+            if (scheduled) {
+                notify.success(`Post scheduled. It will appear in the blog on ${publishAt.toLocaleString()}.`);
+            } else {
+                notify.success(published === QUEUED ? "The post is saved on this device and will publish once it syncs." : "Post published successfully!");
+            }
+        } catch (error) {
+            console.error("Error writing document: ", error);
+            notify.error("Failed to publish post.");
+        }
+    }, [storage, userId, newPost]);
+
+    const handlePostUpdate = useCallback(async (e) => {
+        e.preventDefault();
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        if (!selectedPost || selectedPost.authorId !== userId) return notify.warning("Only the author can edit this post.");
+        if (!newPost.title || !newPost.content) return notify.warning("Title and content are required.");
+
+        // Posts written before history was kept get their original text recorded first. That takes
+        // a read, which is skipped offline (an uncached history would read as empty) and whose
+        // failure does not stop the edit from being saved.
+        if (navigator.onLine) {
+            try {
+                const [latestRevision] = await storage.revisions(selectedPost.id).list({ limit: 1 });
+                if (!latestRevision) {
+                    await storage.revisions(selectedPost.id).add({
+                        ...revisionOf(selectedPost, selectedPost.authorId),
+                        timestamp: selectedPost.updatedAt || selectedPost.timestamp,
+                    });
+                }
+            } catch (error) {
+                console.error("Error recording the original revision: ", error);
+            }
+        }
+
+        try {
+            const updated = await storage.posts().update(selectedPost.id, {
+                title: newPost.title,
+                content: newPost.content,
+                updatedAt: SERVER_TIME,
+            }, { baseVersion: editBase?.postId === selectedPost.id ? editBase.version : selectedPost.version });
+            await storage.revisions(selectedPost.id).add(revisionOf(newPost, userId));
+            // The next edit starts from the version just saved, not from the one this edit started from
+            const saved = await storage.posts().get(selectedPost.id).catch(() => null);
+            if (saved) setEditBase({ postId: saved.id, version: versionOf(saved) });
+            setNewPost(emptyDraft);
+            navigate(routes.post(selectedPost.id));
+            notify.success(updated === QUEUED ? "The changes are saved on this device and will sync when the connection allows." : "Post updated successfully!");
+        } catch (error) {
+            console.error("Error updating document: ", error);
+            if (error.code === 'conflict') {
+                notify.error("This post was changed elsewhere after you started editing. Copy your text, reload the post and edit again.");
+            } else {
+                notify.error("Failed to update post.");
+            }
+        }
+    }, [storage, userId, selectedPost, newPost, editBase]);
+
+    const handleFeedExport = useCallback(async (format) => {
+        if (!storage) return notify.warning("App not ready. Please wait.");
+
+        try {
+            const latest = await storage.posts().list({ where: [['timestamp', '<=', publishedBound()]], orderBy: FEED_ORDER, limit: SYNDICATION_LIMIT });
+            const siteUrl = window.location.href.split('#')[0];
+            const feed = buildFeed(latest, {
+                format,
+                title: 'Gemini Blog',
+                description: 'Latest posts from the Kalari knowledge store',
+                siteUrl,
+                limit: SYNDICATION_LIMIT,
+                link: post => new URL(routes.post(post.id), siteUrl).href,
+                authorName: post => displayNameOf(profiles?.[post.authorId], post.authorId),
+                renderHtml: renderMarkdown,
+            });
+            downloadFile(`kalari-feed.${feed.extension}`, feed.body, feed.mimeType);
+        } catch (error) {
+            console.error("Error building feed: ", error);
+            notify.error("Failed to build the feed.");
+        }
+    }, [storage, profiles]);
+
+    const handlePostRestore = useCallback(async (revision) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        if (!selectedPost || selectedPost.authorId !== userId) return notify.warning("Only the author can restore this post.");
+
+        try {
+            await storage.posts().update(selectedPost.id, {
+                title: revision.title,
+                content: revision.content,
+                updatedAt: SERVER_TIME,
+            }, { baseVersion: selectedPost.version });
+            await storage.revisions(selectedPost.id).add({ ...revisionOf(revision, userId), restoredFrom: revision.id });
+            notify.success(`Restored the version from ${revision.timestamp?.toLocaleString()}.`);
+            return true;
+        } catch (error) {
+            console.error("Error restoring revision: ", error);
+            if (error.code === 'conflict') {
+                notify.error("This post was changed elsewhere in the meantime. Reload the post and try again.");
+            } else {
+                notify.error("Failed to restore this version.");
+            }
+            return false;
+        }
+    }, [storage, userId, selectedPost]);
+
+    const handlePostDelete = useCallback(async (post) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        if (post.authorId !== userId) return notify.warning("Only the author can delete this post.");
+
+        try {
+            await Promise.all([removeAll(storage.comments(post.id)), removeAll(storage.revisions(post.id))]);
+            await storage.posts().remove(post.id);
+            setPendingDeletePostId(null);
+            navigate(routes.blog());
+            notify.success("Post deleted successfully!");
+        } catch (error) {
+            console.error("Error deleting document: ", error);
+            notify.error("Failed to delete post.");
+        }
+    }, [storage, userId]);
+
+    const handleDraftDelete = useCallback(async (draftId) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+
+        const draft = drafts?.find(d => d.id === draftId);
+        try {
+            await storage.drafts(userId).remove(draftId);
+            notify.info("Draft deleted.", draft && { action: { label: 'Undo', onAction: () => restoreDeleted(storage.drafts(userId), draft, 'draft') } });
+        } catch (error) {
+            console.error("Error deleting draft: ", error);
+            notify.error("Failed to delete draft.");
+        }
+    }, [storage, userId, drafts]);
+
+    // --- Folder Inventory (Private) ---
+    // Snapshots can list thousands of folders, so they are only loaded while the page is open
+    useEffect(() => {
+        if (!isAuthReady || !storage || !userId || route.name !== 'folders') return;
+
+        const unsubscribe = storage.folderSnapshots(userId).subscribe({ orderBy: ['date', 'desc'] }, (items) => {
+            setFolderSnapshots(items);
+        }, (error) => {
+            console.error("Error listening to folder snapshots:", error);
+            notify.error("Failed to load folder snapshots.");
+        });
+
+        return () => unsubscribe();
+    }, [storage, isAuthReady, userId, route.name]);
+
+    // Resolves to the new snapshot's id, or null if it could not be saved
+    const handleFolderSnapshotSave = useCallback(async (snapshot) => {
+        if (!storage || !userId) {
+            notify.warning("App not ready. Please wait.");
+            return null;
+        }
+
+        try {
+            const id = await storage.folderSnapshots(userId).add({ ...snapshot, importedAt: SERVER_TIME });
+            notify.success(`Saved the inventory of ${snapshot.folders.length} folder(s).`);
+            return id;
+        } catch (error) {
+            console.error("Error saving folder snapshot: ", error);
+            notify.error("Failed to save folder snapshot.");
+            return null;
+        }
+    }, [storage, userId]);
+
+    const handleFolderSnapshotDelete = useCallback(async (snapshotId) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+
+        try {
+            await storage.folderSnapshots(userId).remove(snapshotId);
+            notify.success("Snapshot deleted.");
+        } catch (error) {
+            console.error("Error deleting folder snapshot: ", error);
+            notify.error("Failed to delete folder snapshot.");
+        }
+    }, [storage, userId]);
+
+    // --- Handlers for Profile and Account ---
+    const handleProfileSave = useCallback(async (profile) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        const displayName = profile.displayName.trim();
+        if (!displayName) return notify.warning("Display name is required.");
+        if (profile.avatarUrl && !safeAvatarUrl(profile.avatarUrl)) return notify.warning("The avatar must be an http(s) image URL.");
+
+        try {
+            const saved = await storage.profiles().set(userId, {
+                displayName: displayName.slice(0, 50),
+                avatarUrl: profile.avatarUrl.trim(),
+                bio: profile.bio.trim().slice(0, 500),
+                updatedAt: SERVER_TIME,
+            });
+            notify.success(saved === QUEUED ? "The profile is saved on this device and will sync when the connection allows." : "Profile saved!");
+        } catch (error) {
+            console.error("Error saving profile: ", error);
+            notify.error("Failed to save profile.");
+        }
+    }, [storage, userId]);
 
-    const [selectedPost, setSelectedPost] = useState(null);
-    const [newPost, setNewPost] = useState({ title: '', content: '' });
-    const [newBookmark, setNewBookmark] = useState({ name: '', url: '' });
-    const [loading, setLoading] = useState(true);
-    const [message, setMessage] = useState('');
+    // Linking keeps the same uid, so everything stored under this user stays theirs
+    const handleAccountLink = useCallback(async (email, password) => {
+        if (!auth?.currentUser) return notify.warning("App not ready. Please wait.");
 
-    // --- Firebase Initialization and Authentication ---
-    useEffect(() => {
         try {
-            const app = initializeApp(firebaseConfig);
-            const firestore = getFirestore(app);
-            const firebaseAuth = getAuth(app);
-
-            setDb(firestore);
-            setAuth(firebaseAuth);
+            const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+            setAccount({ isAnonymous: user.isAnonymous, email: user.email });
+            notify.success(`Your account is now linked to ${user.email}. Sign in with it to get your data back on any device.`);
+            return true;
+        } catch (error) {
+            console.error("Error linking account: ", error);
+            notify.error(authErrorMessage(error));
+            return false;
+        }
+    }, [auth]);
 
-            // Log in with custom token or anonymously
-            const authenticate = async () => {
-                try {
-                    if (initialAuthToken) {
-                        await signInWithCustomToken(firebaseAuth, initialAuthToken);
-                    } else {
-                        await signInAnonymously(firebaseAuth);
-                    }
-                } catch (error) {
-                    console.error("Firebase Auth Error:", error);
-                    setMessage("Authentication failed. Check console for details.");
-                }
-            };
+    const handleSignIn = useCallback(async (email, password) => {
+        if (!auth) return notify.warning("App not ready. Please wait.");
 
-            authenticate();
+        try {
+            await signInWithEmailAndPassword(auth, email, password);
+            notify.success(`Signed in as ${email}.`);
+            return true;
+        } catch (error) {
+            console.error("Error signing in: ", error);
+            notify.error(authErrorMessage(error));
+            return false;
+        }
+    }, [auth]);
 
-            // Auth state listener
-            const unsubscribe = onAuthStateChanged(firebaseAuth, (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                } else {
-                    setUserId(null);
-                }
-                setIsAuthReady(true);
-                setLoading(false);
-            });
+    const handleSignOut = useCallback(async () => {
+        if (!auth) return notify.warning("App not ready. Please wait.");
 
-            return () => unsubscribe();
-        } catch (e) {
-            console.error("Failed to initialize Firebase:", e);
-            setMessage("Error initializing Firebase. Please check your configuration.");
-            setLoading(false);
+        try {
+            await signOut(auth);
+            // Carry on as a fresh guest, as on first visit
+            await signInAnonymously(auth);
+            notify.success("Signed out.");
+        } catch (error) {
+            console.error("Error signing out: ", error);
+            notify.error(authErrorMessage(error));
         }
-    }, []);
+    }, [auth]);
 
-    // --- Firestore Data Listeners (Blog Posts - Public) ---
+    // --- Data Listeners (Shared Bookmark Collections - Public) ---
     useEffect(() => {
-        if (!isAuthReady || !db) return;
-
-        const collectionPath = `/artifacts/${appId}/public/data/blog_posts`;
-        const q = query(collection(db, collectionPath));
-
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedPosts = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data(),
-                timestamp: doc.data().timestamp?.toDate().toLocaleString(),
-            })).sort((a, b) => b.timestamp - a.timestamp); // Sort descending
+        if (!isAuthReady || !storage || !userId) return;
 
-            setPosts(fetchedPosts);
+        const unsubscribe = storage.bookmarkCollections().subscribe({ where: [['ownerId', '==', userId]] }, (items) => {
+            setMyCollections(items.sort((a, b) => a.name.localeCompare(b.name)));
         }, (error) => {
-            console.error("Error listening to blog posts:", error);
-            setMessage("Failed to load blog posts.");
+            console.error("Error listening to shared collections:", error);
+            notify.error("Failed to load your shared collections.");
         });
 
         return () => unsubscribe();
-    }, [db, isAuthReady]);
-
+    }, [storage, isAuthReady, userId]);
 
-    // --- Firestore Data Listeners (Bookmarks - Private) ---
+    const routeCollectionId = route.name === 'collection' ? route.id : null;
     useEffect(() => {
-        if (!isAuthReady || !db || !userId) {
-            // If authenticated and user ID is available, and there are no bookmarks,
-            // initialize with static data and prompt to save.
-            if (isAuthReady && userId && bookmarks.length === 0) {
-                setBookmarks(initialBookmarksData);
-            }
-            return;
-        }
+        if (!isAuthReady || !storage || !routeCollectionId) return;
 
-        const collectionPath = `/artifacts/${appId}/users/${userId}/bookmarks`;
-        const q = query(collection(db, collectionPath));
+        let cancelled = false;
 
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedBookmarks = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data(),
-            }));
+        storage.bookmarkCollections().get(routeCollectionId).then((collection) => {
+            if (!cancelled) setOpenCollection({ id: routeCollectionId, collection });
+        }).catch((error) => {
+            console.error("Error loading shared collection:", error);
+            if (!cancelled) setOpenCollection({ id: routeCollectionId, collection: null });
+        });
 
-            if (fetchedBookmarks.length === 0) {
-                 // Load initial data if none are saved in Firestore yet
-                setBookmarks(initialBookmarksData.map(b => ({ ...b, saved: false })));
+        return () => { cancelled = true; };
+    }, [storage, isAuthReady, routeCollectionId]);
+
+    // The owner's own collections stay live; other collections are read once. undefined while loading.
+    const viewedCollection = routeCollectionId
+        ? myCollections.find(c => c.id === routeCollectionId) || (openCollection?.id === routeCollectionId ? openCollection.collection : undefined)
+        : undefined;
+
+    // --- Handlers for Shared Collections ---
+    const handleCollectionPublish = useCallback(async ({ name, description }) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        if (!name.trim()) return notify.warning("The collection needs a name.");
+
+        const items = bookmarks
+            .filter(b => selectedBookmarkIds.includes(b.id))
+            .map(b => ({ name: b.name, url: b.url, folder: b.folder || '', tags: b.tags || [] }));
+        if (items.length === 0) return notify.warning("Select at least one bookmark to share.");
+
+        const data = { name: name.trim().slice(0, 100), description: description.trim(), items, updatedAt: SERVER_TIME };
+
+        try {
+            if (editingCollectionId) {
+                await storage.bookmarkCollections().update(editingCollectionId, data);
             } else {
-                setBookmarks(fetchedBookmarks.map(b => ({ ...b, saved: true })));
+                await storage.bookmarkCollections().add({ ...data, ownerId: userId, createdAt: SERVER_TIME });
             }
-        }, (error) => {
-            console.error("Error listening to bookmarks:", error);
-            setMessage("Failed to load bookmarks.");
-        });
+            setSelectedBookmarkIds([]);
+            setEditingCollectionId(null);
+            notify.success(editingCollectionId ? `Updated '${data.name}'.` : `Published '${data.name}'. Use the link button to share it.`);
+            return true;
+        } catch (error) {
+            console.error("Error publishing collection: ", error);
+            notify.error("Failed to publish the collection.");
+            return false;
+        }
+    }, [storage, userId, bookmarks, selectedBookmarkIds, editingCollectionId]);
 
-        return () => unsubscribe();
-    }, [db, isAuthReady, userId]);
+    // Editing starts from the bookmarks that are still in the collection
+    const handleCollectionEdit = useCallback((collection) => {
+        const keys = new Set(collection.items.map(item => urlKey(item.url)));
+        setSelectedBookmarkIds(bookmarks.filter(b => keys.has(urlKey(b.url))).map(b => b.id));
+        setEditingCollectionId(collection.id);
+        navigate(routes.bookmarks());
+    }, [bookmarks]);
 
-    // --- Handlers for Blog ---
-    const handlePostSubmit = useCallback(async (e) => {
-        e.preventDefault();
-        if (!db || !userId) return setMessage("App not ready. Please wait.");
-        if (!newPost.title || !newPost.content) return setMessage("Title and content are required.");
+    const handleCollectionCancel = useCallback(() => {
+        setSelectedBookmarkIds([]);
+        setEditingCollectionId(null);
+    }, []);
 
-        const collectionPath = `/artifacts/${appId}/public/data/blog_posts`;
+    const handleCollectionUnpublish = useCallback(async (collectionId) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
 
         try {
-            await addDoc(collection(db, collectionPath), {
-                title: newPost.title,
-                content: newPost.content,
-                authorId: userId,
-                timestamp: serverTimestamp(),
-            });
-            setNewPost({ title: '', content: '' });
-            setCurrentPage('blog'); // Go back to the list
-            setMessage("Post published successfully!");
+            await storage.bookmarkCollections().remove(collectionId);
+            if (editingCollectionId === collectionId) handleCollectionCancel();
+            notify.success("Collection unpublished.");
         } catch (error) {
-            console.error("Error writing document: ", error);
-            setMessage("Failed to publish post.");
+            console.error("Error unpublishing collection: ", error);
+            notify.error("Failed to unpublish the collection.");
+        }
+    }, [storage, userId, editingCollectionId, handleCollectionCancel]);
+
+    const handleCollectionCopyLink = useCallback(async (collection) => {
+        const link = new URL(routes.collection(collection.id), window.location.href.split('#')[0]).href;
+        try {
+            await navigator.clipboard.writeText(link);
+            notify.success(`Link to '${collection.name}' copied.`);
+        } catch {
+            // Clipboard access was refused, so leave the link up until it has been copied by hand
+            notify.info(`Share this link: ${link}`, { duration: null });
+        }
+    }, []);
+
+    // Copies go into a folder named after the collection; links already bookmarked are skipped
+    const handleCollectionCopy = useCallback(async (collection) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+
+        const seenUrls = new Set(bookmarks.filter(b => b.saved).map(b => urlKey(b.url)));
+        const toAdd = collection.items.filter((item) => {
+            if (!normalizeUrl(item.url) || seenUrls.has(urlKey(item.url))) return false;
+            seenUrls.add(urlKey(item.url));
+            return true;
+        });
+        if (toAdd.length === 0) return notify.info("You already have every bookmark in this collection.");
+
+        try {
+            await storage.bookmarks(userId).addMany(toAdd.map(item => ({
+                name: item.name,
+                url: normalizeUrl(item.url),
+                folder: normalizeFolder(`${collection.name.replace(/\//g, '-')}/${item.folder || ''}`),
+                tags: item.tags || [],
+                addedAt: SERVER_TIME,
+            })));
+            notify.success(`Copied ${toAdd.length} bookmark(s) into '${collection.name}'; skipped ${collection.items.length - toAdd.length} you already had.`);
+        } catch (error) {
+            console.error("Error copying collection: ", error);
+            notify.error("Failed to copy the collection.");
         }
-    }, [db, userId, newPost]);
+    }, [storage, userId, bookmarks]);
 
     // --- Handlers for Bookmarks ---
+    const saveNewBookmark = useCallback(async (candidate) => {
+        try {
+            const saved = await storage.bookmarks(userId).set(generateId(), { ...candidate, addedAt: SERVER_TIME });
+            // Keep the folder so several links can be filed in a row
+            setNewBookmark({ name: '', url: '', folder: newBookmark.folder, tags: '' });
+            notify.success(saved === QUEUED ? "The bookmark is saved on this device and will sync when the connection allows." : "Bookmark saved successfully!");
+        } catch (error) {
+            console.error("Error saving bookmark: ", error);
+            notify.error("Failed to save bookmark.");
+        }
+    }, [storage, userId, newBookmark]);
+
     const handleBookmarkAdd = useCallback(async (e) => {
         e.preventDefault();
-        if (!db || !userId) return setMessage("App not ready. Please wait.");
-        if (!newBookmark.name || !newBookmark.url) return setMessage("Name and URL are required.");
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        if (!newBookmark.name || !newBookmark.url) return notify.warning("Name and URL are required.");
+
+        const url = normalizeUrl(newBookmark.url);
+        if (!url) return notify.warning("Enter a valid web address starting with http:// or https://.");
+
+        const candidate = {
+            name: newBookmark.name,
+            url,
+            folder: normalizeFolder(newBookmark.folder),
+            tags: parseTags(newBookmark.tags),
+            ...(newBookmark.description && { description: newBookmark.description }),
+            ...(newBookmark.favicon && { favicon: newBookmark.favicon }),
+        };
 
-        const collectionPath = `/artifacts/${appId}/users/${userId}/bookmarks`;
+        // The same page saved under a slightly different URL needs a decision first
+        const existing = bookmarks.find(b => b.saved && urlKey(b.url) === urlKey(url));
+        if (existing) return setPendingDuplicate({ candidate, existingId: existing.id });
+
+        await saveNewBookmark(candidate);
+    }, [storage, userId, newBookmark, bookmarks, saveNewBookmark]);
+
+    // Fills in the name, description and favicon from the page once a URL is entered
+    const handleBookmarkUrlLookup = useCallback(async () => {
+        const url = normalizeUrl(newBookmark.url);
+        if (!linkServiceUrl || !url) return;
 
         try {
-            await addDoc(collection(db, collectionPath), {
-                name: newBookmark.name,
-                url: newBookmark.url,
-            });
-            setNewBookmark({ name: '', url: '' });
-            setMessage("Bookmark saved successfully!");
+            const [metadata] = await fetchLinkMetadata([url]);
+            if (!metadata) return;
+            // The URL may have been edited while the page was fetched
+            setNewBookmark(prev => (normalizeUrl(prev.url) === url
+                ? { ...prev, name: prev.name || metadata.title, description: metadata.description, favicon: httpUrlOf(metadata.favicon) || '' }
+                : prev));
         } catch (error) {
-            console.error("Error saving bookmark: ", error);
-            setMessage("Failed to save bookmark.");
+            console.error("Error looking up link: ", error);
+        }
+    }, [newBookmark.url]);
+
+    const handleCheckLinks = useCallback(async () => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+
+        const toCheck = bookmarks.filter(b => b.saved && hostnameOf(b.url));
+        if (toCheck.length === 0) return notify.info("There are no saved links to check.");
+
+        setLinkCheckProgress({ done: 0, total: toCheck.length });
+        let broken = 0;
+        let redirected = 0;
+        let unchecked = 0;
+        try {
+            for (let start = 0; start < toCheck.length; start += LINK_CHECK_BATCH) {
+                const batch = toCheck.slice(start, start + LINK_CHECK_BATCH);
+                const results = await fetchLinkMetadata(batch.map(b => b.url));
+                for (const [index, bookmark] of batch.entries()) {
+                    const result = results[index];
+                    // Leave a bookmark as it was if the service sent nothing back for it
+                    if (!result || typeof result !== 'object') {
+                        unchecked++;
+                        continue;
+                    }
+                    const check = linkCheckOf(bookmark, result);
+                    const problem = linkProblemOf(check);
+                    if (problem?.kind === 'broken') broken++;
+                    if (problem?.kind === 'redirected') redirected++;
+
+                    await storage.bookmarks(userId).update(bookmark.id, {
+                        ...check,
+                        ...(!bookmark.description && result.description && { description: result.description }),
+                        ...(!bookmark.favicon && httpUrlOf(result.favicon) && { favicon: httpUrlOf(result.favicon) }),
+                        checkedAt: SERVER_TIME,
+                    });
+                }
+                setLinkCheckProgress({ done: start + batch.length, total: toCheck.length });
+            }
+            const summary = `Checked ${toCheck.length - unchecked} link(s): ${broken} broken, ${redirected} redirected.`;
+            (broken + redirected + unchecked > 0 ? notify.warning : notify.success)(unchecked > 0 ? `${summary} ${unchecked} got no answer from the link service.` : summary);
+            if (broken + redirected > 0) setShowLinkProblems(true);
+        } catch (error) {
+            console.error("Error checking links: ", error);
+            notify.error("Failed to check links. Is the link service running?");
+        } finally {
+            setLinkCheckProgress(null);
+        }
+    }, [storage, userId, bookmarks]);
+
+    const handleBookmarkFollowRedirect = useCallback(async (bookmark) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+
+        try {
+            await storage.bookmarks(userId).update(bookmark.id, { url: bookmark.redirectUrl, redirectUrl: '' });
+            notify.success(`Updated '${bookmark.name}' to its new address.`);
+        } catch (error) {
+            console.error("Error updating bookmark URL: ", error);
+            notify.error("Failed to update bookmark.");
+        }
+    }, [storage, userId]);
+
+    const handleDuplicateResolve = useCallback(async (action) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        if (!pendingDuplicate) return;
+
+        const { candidate, existingId } = pendingDuplicate;
+        setPendingDuplicate(null);
+        if (action === 'save') return saveNewBookmark(candidate);
+
+        const existing = bookmarks.find(b => b.id === existingId);
+        if (action !== 'merge' || !existing) return;
+
+        try {
+            await storage.bookmarks(userId).update(existingId, planMerge([existing, candidate]).patch);
+            setNewBookmark({ name: '', url: '', folder: newBookmark.folder, tags: '' });
+            setHighlightedBookmarkId(existingId);
+            notify.success(`Merged into the existing bookmark '${existing.name}'.`);
+        } catch (error) {
+            console.error("Error merging bookmark: ", error);
+            notify.error("Failed to merge bookmark.");
+        }
+    }, [storage, userId, pendingDuplicate, bookmarks, newBookmark, saveNewBookmark]);
+
+    // Each group keeps its oldest bookmark, which takes over the others' tags
+    const handleDuplicatesMerge = useCallback(async (groups) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+
+        try {
+            for (const group of groups) {
+                const { keepId, patch, removeIds } = planMerge(group);
+                await storage.bookmarks(userId).update(keepId, patch);
+                for (const id of removeIds) {
+                    await storage.bookmarks(userId).remove(id);
+                }
+            }
+            notify.success(`Merged ${groups.length} group(s) of duplicate bookmarks.`);
+        } catch (error) {
+            console.error("Error merging duplicates: ", error);
+            notify.error("Failed to merge duplicates.");
         }
-    }, [db, userId, newBookmark]);
+    }, [storage, userId]);
 
     const handleBookmarkDelete = useCallback(async (bookmarkId) => {
-        if (!db || !userId) return setMessage("App not ready. Please wait.");
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
 
         const bookmarkToDelete = bookmarks.find(b => b.id === bookmarkId);
         if (!bookmarkToDelete || !bookmarkToDelete.saved) {
-             // If not saved to Firestore, just remove it from local state
+             // If not saved to storage, just remove it from local state
              setBookmarks(prev => prev.filter(b => b.id !== bookmarkId));
-             setMessage("Bookmark removed locally.");
+             notify.success("Bookmark removed locally.");
              return;
         }
 
-        const docPath = `/artifacts/${appId}/users/${userId}/bookmarks/${bookmarkId}`;
-
         try {
-            await deleteDoc(doc(db, docPath));
-            setMessage("Bookmark deleted successfully!");
+            await storage.bookmarks(userId).remove(bookmarkId);
+            notify.info(`Deleted '${bookmarkToDelete.name}'.`, {
+                action: { label: 'Undo', onAction: () => restoreDeleted(storage.bookmarks(userId), bookmarkToDelete, 'bookmark') },
+            });
         } catch (error) {
             console.error("Error deleting bookmark: ", error);
-            setMessage("Failed to delete bookmark.");
+            notify.error("Failed to delete bookmark.");
         }
-    }, [db, userId, bookmarks]);
+    }, [storage, userId, bookmarks]);
 
     const handleInitialBookmarkSave = useCallback(async (bookmark) => {
-        if (!db || !userId) return setMessage("App not ready. Please wait.");
-
-        const collectionPath = `/artifacts/${appId}/users/${userId}/bookmarks`;
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
 
         try {
-            await addDoc(collection(db, collectionPath), {
+            await storage.bookmarks(userId).add({
                 name: bookmark.name,
-                url: bookmark.url,
+                url: normalizeUrl(bookmark.url) || bookmark.url,
+                folder: bookmark.folder || '',
+                tags: bookmark.tags || [],
+                addedAt: SERVER_TIME,
             });
             setBookmarks(prev => prev.map(b => b.id === bookmark.id ? { ...b, saved: true } : b));
-            setMessage(`Initial bookmark '${bookmark.name}' saved!`);
+            notify.success(`Initial bookmark '${bookmark.name}' saved!`);
         } catch (error) {
             console.error("Error saving initial bookmark: ", error);
-            setMessage("Failed to save initial bookmark.");
+            notify.error("Failed to save initial bookmark.");
         }
-    }, [db, userId]);
+    }, [storage, userId]);
 
-    // --- UI Components/Views ---
+    const handleBookmarkMove = useCallback(async (bookmarkId, folder) => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
 
-    const Header = () => (
-        <header className="bg-blue-700 shadow-xl fixed top-0 left-0 right-0 z-10">
-            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 flex justify-between items-center py-3">
-                <h1 className="text-2xl font-bold text-white tracking-wide">
-                    Gemini Blog & Bookmarks
-                </h1>
-                <div className="flex space-x-4">
-                    <button
-                        onClick={() => { setCurrentPage('blog'); setSelectedPost(null); }}
-                        className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${currentPage === 'blog' ? 'bg-white text-blue-700 shadow-md' : 'text-blue-200 hover:text-white hover:bg-blue-600'}`}
-                    >
-                        <i className="fas fa-file-alt mr-1"></i> Blog
-                    </button>
-                    <button
-                        onClick={() => setCurrentPage('bookmarks')}
-                        className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${currentPage === 'bookmarks' ? 'bg-white text-blue-700 shadow-md' : 'text-blue-200 hover:text-white hover:bg-blue-600'}`}
-                    >
-                        <i className="fas fa-bookmark mr-1"></i> Bookmarks
-                    </button>
-                    <button
-                        onClick={() => { setSelectedPost(null); setCurrentPage('post'); }}
-                        className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${currentPage === 'post' ? 'bg-yellow-400 text-gray-900 shadow-md' : 'text-blue-200 hover:text-white hover:bg-blue-600'}`}
-                    >
-                        <i className="fas fa-plus-circle mr-1"></i> New Post
-                    </button>
-                </div>
-            </div>
-        </header>
-    );
+        const bookmark = bookmarks.find(b => b.id === bookmarkId);
+        if (!bookmark) return;
 
-    const BlogList = () => (
-        <div className="space-y-4">
-            <h2 className="text-3xl font-extrabold text-gray-800 border-b pb-2 mb-6">Latest Blog Posts</h2>
-            {posts.length === 0 ? (
-                <p className="text-gray-500 italic">No posts yet. Be the first to publish one!</p>
-            ) : (
-                posts.map(post => (
-                    <div
-                        key={post.id}
-                        className="bg-white p-6 rounded-xl shadow-lg hover:shadow-xl transition duration-300 border border-gray-100 cursor-pointer"
-                        onClick={() => { setSelectedPost(post); setCurrentPage('post'); }}
-                    >
-                        <h3 className="text-xl font-bold text-blue-600">{post.title}</h3>
-                        <p className="text-sm text-gray-500 mt-1">
-                            Published by: <span className="font-mono text-xs bg-gray-100 px-1 rounded">{post.authorId}</span> on {post.timestamp}
-                        </p>
-                        <p className="mt-3 text-gray-600 line-clamp-2">{post.content}</p>
-                    </div>
-                ))
-            )}
-        </div>
-    );
+        const targetFolder = normalizeFolder(folder);
+        if ((bookmark.folder || '') === targetFolder) return;
 
-    const PostDetail = ({ post }) => (
-        <div className="bg-white p-6 rounded-xl shadow-xl">
-            <h2 className="text-3xl font-extrabold text-gray-800 mb-2">{post.title}</h2>
-            <p className="text-sm text-gray-500 mb-6 border-b pb-4">
-                By: <span className="font-mono text-xs bg-gray-100 px-1 rounded">{post.authorId}</span> | Published: {post.timestamp}
-            </p>
-            <div className="whitespace-pre-wrap text-gray-700 leading-relaxed">
-                {post.content}
-            </div>
-            <button
-                onClick={() => { setSelectedPost(null); setCurrentPage('blog'); }}
-                className="mt-8 px-4 py-2 bg-blue-500 text-white font-medium rounded-lg hover:bg-blue-600 transition duration-150"
-            >
-                <i className="fas fa-arrow-left mr-2"></i>Back to Blog
-            </button>
-        </div>
-    );
+        if (!bookmark.saved) {
+            // Not in storage yet, so only the local copy moves
+            setBookmarks(prev => prev.map(b => b.id === bookmarkId ? { ...b, folder: targetFolder } : b));
+            return;
+        }
 
-    const PostEditor = () => (
-        <div className="bg-white p-6 rounded-xl shadow-xl">
-            <h2 className="text-3xl font-extrabold text-gray-800 mb-6 border-b pb-2">
-                {selectedPost ? 'Edit Post (Not Implemented)' : 'Write a New Blog Post'}
-            </h2>
-            <form onSubmit={handlePostSubmit} className="space-y-4">
-                <div>
-                    <label htmlFor="postTitle" className="block text-sm font-medium text-gray-700">Title</label>
-                    <input
-                        id="postTitle"
-                        type="text"
-                        value={newPost.title}
-                        onChange={(e) => setNewPost({ ...newPost, title: e.target.value })}
-                        className="mt-1 block w-full border-gray-300 border rounded-lg shadow-sm p-3 focus:ring-blue-500 focus:border-blue-500"
-                        required
-                    />
-                </div>
-                <div>
-                    <label htmlFor="postContent" className="block text-sm font-medium text-gray-700">Content</label>
-                    <textarea
-                        id="postContent"
-                        rows="10"
-                        value={newPost.content}
-                        onChange={(e) => setNewPost({ ...newPost, content: e.target.value })}
-                        className="mt-1 block w-full border-gray-300 border rounded-lg shadow-sm p-3 focus:ring-blue-500 focus:border-blue-500"
-                        required
-                    ></textarea>
-                </div>
-                <button
-                    type="submit"
-                    className="w-full px-4 py-3 bg-green-500 text-white font-semibold rounded-lg hover:bg-green-600 transition duration-150 shadow-md"
-                >
-                    <i className="fas fa-paper-plane mr-2"></i>Publish Post
-                </button>
-            </form>
-        </div>
-    );
+        try {
+            await storage.bookmarks(userId).update(bookmarkId, { folder: targetFolder });
+            notify.success(`Moved '${bookmark.name}' to ${targetFolder || 'the top level'}.`);
+        } catch (error) {
+            console.error("Error moving bookmark: ", error);
+            notify.error("Failed to move bookmark.");
+        }
+    }, [storage, userId, bookmarks]);
 
-    const BookmarkManager = () => (
-        <div className="space-y-6">
-            <h2 className="text-3xl font-extrabold text-gray-800 border-b pb-2">My Personal Bookmarks</h2>
+    const handleBookmarkFileSelect = useCallback(async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Allow selecting the same file again
+        if (!file) return;
 
-            {/* Bookmark Creation Form */}
-            <div className="bg-blue-50 p-6 rounded-xl shadow-inner border-blue-200 border">
-                <h3 className="text-xl font-semibold text-blue-700 mb-4">Add New Bookmark</h3>
-                <form onSubmit={handleBookmarkAdd} className="flex flex-col sm:flex-row gap-3">
-                    <input
-                        type="text"
-                        placeholder="Name (e.g., Google)"
-                        value={newBookmark.name}
-                        onChange={(e) => setNewBookmark({ ...newBookmark, name: e.target.value })}
-                        className="flex-1 border-gray-300 border rounded-lg p-3 text-sm focus:ring-blue-500 focus:border-blue-500"
-                        required
-                    />
-                    <input
-                        type="url"
-                        placeholder="URL (e.g., https://www.google.com/)"
-                        value={newBookmark.url}
-                        onChange={(e) => setNewBookmark({ ...newBookmark, url: e.target.value })}
-                        className="flex-1 border-gray-300 border rounded-lg p-3 text-sm focus:ring-blue-500 focus:border-blue-500"
-                        required
-                    />
-                    <button
-                        type="submit"
-                        className="px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition duration-150 shadow-md sm:w-auto"
-                    >
-                        <i className="fas fa-save mr-1"></i> Save
-                    </button>
-                </form>
-            </div>
+        try {
+            const { format, bookmarks: parsed } = parseBookmarkFile(file.name, await file.text());
+            // The unsaved sample bookmarks are not in storage, so they do not make an import a duplicate
+            const seenUrls = new Set(bookmarks.filter(b => b.saved).map(b => urlKey(b.url)));
+            const items = parsed.map((bookmark) => {
+                const url = normalizeUrl(bookmark.url);
+                if (!url) return { ...bookmark, invalid: true };
+                const duplicate = seenUrls.has(urlKey(url));
+                seenUrls.add(urlKey(url));
+                return { ...bookmark, url, duplicate };
+            });
 
-            {/* Bookmark List */}
-            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-100">
-                {bookmarks.length === 0 ? (
-                    <p className="text-gray-500 italic">No bookmarks saved yet.</p>
-                ) : (
-                    <ul className="divide-y divide-gray-100">
-                        {bookmarks.map((bookmark) => (
-                            <li key={bookmark.id} className="flex justify-between items-center py-3">
-                                <a
-                                    href={bookmark.url}
-                                    target="_blank"
-                                    rel="noopener noreferrer"
-                                    className="flex-1 font-medium text-gray-800 hover:text-blue-600 truncate"
-                                >
-                                    {bookmark.name}
-                                    <span className="text-xs text-gray-400 ml-2 group-hover:text-blue-500">({new URL(bookmark.url).hostname})</span>
-                                </a>
+            if (items.length === 0) return notify.info(`No bookmarks found in '${file.name}'.`);
+            setImportPreview({ fileName: file.name, format, items });
+        } catch (error) {
+            console.error("Error reading bookmark file: ", error);
+            notify.error(`Could not read '${file.name}': ${error.message}`);
+        }
+    }, [bookmarks]);
 
-                                <div className="flex items-center space-x-2">
-                                    {!bookmark.saved && (
-                                        <button
-                                            onClick={() => handleInitialBookmarkSave(bookmark)}
-                                            className="text-xs px-2 py-1 bg-yellow-100 text-yellow-800 rounded-full hover:bg-yellow-200 transition duration-150"
-                                            title="Save to Firestore"
-                                        >
-                                            <i className="fas fa-cloud-upload-alt"></i> Save Initial
-                                        </button>
-                                    )}
-                                    <a
-                                        href={bookmark.url}
-                                        target="_blank"
-                                        rel="noopener noreferrer"
-                                        className="text-gray-500 hover:text-blue-500 transition duration-150"
-                                        title="Visit Link"
-                                    >
-                                        <i className="fas fa-external-link-alt"></i>
-                                    </a>
-                                    <button
-                                        onClick={() => handleBookmarkDelete(bookmark.id)}
-                                        className="text-red-400 hover:text-red-600 transition duration-150"
-                                        title="Delete Bookmark"
-                                    >
-                                        <i className="fas fa-trash"></i>
-                                    </button>
-                                </div>
-                            </li>
-                        ))}
-                    </ul>
-                )}
-            </div>
+    const handleBookmarkImport = useCallback(async () => {
+        if (!storage || !userId) return notify.warning("App not ready. Please wait.");
+        if (!importPreview) return;
 
-            <p className="text-sm text-gray-500 mt-4 p-4 bg-gray-100 rounded-lg">
-                Your user ID: <span className="font-mono text-xs bg-gray-200 px-1 rounded">{userId}</span>. This ID determines which private bookmarks you see.
-            </p>
-        </div>
-    );
+        const toAdd = importPreview.items.filter(item => !item.duplicate && !item.invalid);
+        const invalidCount = importPreview.items.filter(item => item.invalid).length;
+
+        try {
+            await storage.bookmarks(userId).addMany(toAdd.map(item => ({
+                name: item.name,
+                url: item.url,
+                folder: item.folder,
+                tags: item.tags,
+                addedAt: item.addedAt || SERVER_TIME,
+            })));
+            setImportPreview(null);
+            notify.success(`Imported ${toAdd.length} bookmark(s); skipped ${importPreview.items.length - toAdd.length - invalidCount} duplicate(s) and ${invalidCount} invalid URL(s).`);
+        } catch (error) {
+            console.error("Error importing bookmarks: ", error);
+            notify.error("Failed to import bookmarks.");
+        }
+    }, [storage, userId, importPreview]);
+
+    const handleBookmarkExport = useCallback((format) => {
+        if (bookmarks.length === 0) return notify.info("There are no bookmarks to export.");
+
+        if (format === 'json') {
+            downloadFile('kalari-bookmarks.json', exportJsonBookmarks(bookmarks), 'application/json');
+        } else {
+            downloadFile('kalari-bookmarks.html', exportNetscapeBookmarks(bookmarks), 'text/html');
+        }
+    }, [bookmarks]);
+
+    // --- Search ---
+    const handleSearch = useCallback((searchQuery) => (
+        // Scheduled posts stay out of other readers' results until they are published
+        searchIndex.search(searchQuery, 10, doc => doc.type !== 'post' || visiblePosts.some(p => p.id === doc.id)).map(({ doc, terms }) => ({
+            type: doc.type,
+            id: doc.id,
+            title: doc.title,
+            snippet: makeSnippet(doc.body, terms),
+            terms,
+        }))
+    ), [searchIndex, searchVersion, visiblePosts]);
+
+    // Posts are indexed as the feed pages in, so older ones are not searched until loaded
+    const searchScopeNote = feedCursor?.hasMore
+        ? `Only the ${visiblePosts.length} posts loaded so far were searched. Scroll down the blog to load older ones.`
+        : null;
+
+    const handleSearchSelect = useCallback((result) => {
+        if (result.type === 'post') {
+            navigate(routes.post(result.id));
+        } else {
+            setBookmarkFolderFilter(null);
+            setBookmarkTagFilter(null);
+            setHighlightedBookmarkId(result.id);
+            navigate(routes.bookmarks());
+        }
+    }, []);
+
+    // Bring a bookmark picked from the search results into view
+    useEffect(() => {
+        if (route.name !== 'bookmarks' || !highlightedBookmarkId) return;
+        document.getElementById(`bookmark-${highlightedBookmarkId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [route.name, highlightedBookmarkId]);
+
+    // --- Derived Bookmark Data (Folders and Tags) ---
+    const folderTree = useMemo(() => buildFolderTree(bookmarks), [bookmarks]);
+    const folderPaths = useMemo(() => listFolders(folderTree), [folderTree]);
+    const tagCounts = useMemo(() => countTags(bookmarks), [bookmarks]);
+    const visibleBookmarks = useMemo(() => bookmarks.filter(b =>
+        isInFolder(b.folder, bookmarkFolderFilter) &&
+        (!bookmarkTagFilter || (b.tags || []).includes(bookmarkTagFilter)) &&
+        (!showLinkProblems || linkProblemOf(b))
+    ), [bookmarks, bookmarkFolderFilter, bookmarkTagFilter, showLinkProblems]);
+    const linkProblemCount = useMemo(() => bookmarks.filter(linkProblemOf).length, [bookmarks]);
+    // Unsaved sample bookmarks are not in storage, so only saved ones can be merged
+    const duplicateGroups = useMemo(() => findDuplicateGroups(bookmarks.filter(b => b.saved)), [bookmarks]);
 
     // --- Main Renderer (Client-side Routing) ---
     const renderContent = useMemo(() => {
         if (loading) {
-            return (
-                <div className="text-center py-20">
-                    <i className="fas fa-spinner fa-spin text-4xl text-blue-500"></i>
-                    <p className="mt-4 text-gray-600">Loading application...</p>
-                </div>
-            );
+            return <LoadingView label="Loading application..." />;
         }
 
-        switch (currentPage) {
+        // A post route whose id was looked up directly and does not exist
+        const postMissing = routePostId && !selectedPost && directPost?.id === routePostId;
+
+        switch (route.name) {
             case 'blog':
-                return <BlogList />;
+                if (!feedCursor) return <LoadingView label="Loading posts..." />;
+                return (
+                    <BlogList
+                        posts={visiblePosts}
+                        now={now}
+                        profiles={profiles}
+                        hasMore={feedCursor.hasMore}
+                        loadingMore={loadingMorePosts}
+                        onLoadMore={handleLoadMorePosts}
+                        onExportFeed={handleFeedExport}
+                    />
+                );
             case 'post':
-                return selectedPost ? <PostDetail post={selectedPost} /> : <PostEditor />;
+                if (postMissing) return <NotFound title="Post not found" detail="It may have been deleted, or the link is wrong." />;
+                if (!selectedPost) return <LoadingView label="Loading post..." />;
+                if (!canSeePost(selectedPost)) return <NotFound title="Post not found" detail="It may have been deleted, or the link is wrong." />;
+                // History and the thread sit beside PostDetail so they keep their state when the post re-renders
+                return (
+                    <>
+                        <PostDetail
+                            post={selectedPost}
+                            now={now}
+                            profiles={profiles}
+                            userId={userId}
+                            confirmingDelete={pendingDeletePostId === selectedPost.id}
+                            onRequestDelete={() => setPendingDeletePostId(selectedPost.id)}
+                            onCancelDelete={() => setPendingDeletePostId(null)}
+                            onDelete={handlePostDelete}
+                        />
+                        <RevisionHistory
+                            key={`history-${selectedPost.id}`}
+                            storage={storage}
+                            postId={selectedPost.id}
+                            isAuthor={selectedPost.authorId === userId}
+                            profiles={profiles || {}}
+                            onRestore={handlePostRestore}
+                        />
+                        <CommentThread key={selectedPost.id} storage={storage} postId={selectedPost.id} userId={userId} profiles={profiles || {}} />
+                    </>
+                );
+            case 'new':
+                return <PostEditor value={newPost} onChange={setNewPost} onSubmit={handlePostSubmit} draftStatus={draftStatus} />;
+            case 'drafts':
+                if (!drafts) return <LoadingView label="Loading drafts..." />;
+                return <DraftList drafts={drafts} scheduledPosts={scheduledPosts} onDelete={handleDraftDelete} />;
+            case 'draft':
+                // A draft created moments ago may not have reached the listener yet
+                if (newPost.draftId !== route.id) {
+                    if (drafts && !routeDraft) return <NotFound title="Draft not found" detail="It may have been published or deleted." />;
+                    return <LoadingView label="Loading draft..." />;
+                }
+                return <PostEditor value={newPost} onChange={setNewPost} onSubmit={handlePostSubmit} draftStatus={draftStatus} />;
+            case 'edit':
+                if (postMissing) return <NotFound title="Post not found" detail="It may have been deleted, or the link is wrong." />;
+                if (!selectedPost) return <LoadingView label="Loading post..." />;
+                if (selectedPost.authorId !== userId) {
+                    return <NotFound title="Cannot edit this post" detail="Only the author of a post can edit it." />;
+                }
+                return (
+                    <PostEditor
+                        post={selectedPost}
+                        value={newPost}
+                        onChange={setNewPost}
+                        onSubmit={handlePostUpdate}
+                        onCancel={() => navigate(routes.post(selectedPost.id))}
+                    />
+                );
             case 'bookmarks':
-                return <BookmarkManager />;
+                // The sharing panel sits beside BookmarkManager so its inputs keep their state
+                return (
+                    <>
+                        <SharedCollectionsPanel
+                            key={editingCollectionId || 'new'}
+                            collections={myCollections}
+                            selectedCount={selectedBookmarkIds.length}
+                            editing={myCollections.find(c => c.id === editingCollectionId) || null}
+                            onPublish={handleCollectionPublish}
+                            onEdit={handleCollectionEdit}
+                            onCancel={handleCollectionCancel}
+                            onUnpublish={handleCollectionUnpublish}
+                            onCopyLink={handleCollectionCopyLink}
+                        />
+                        <BookmarkManager
+                            bookmarks={bookmarks}
+                            visibleBookmarks={visibleBookmarks}
+                            folderTree={folderTree}
+                            folderPaths={folderPaths}
+                            tagCounts={tagCounts}
+                            duplicateGroups={duplicateGroups}
+                            linkProblemCount={linkProblemCount}
+                            folderFilter={bookmarkFolderFilter}
+                            onFolderFilterChange={setBookmarkFolderFilter}
+                            tagFilter={bookmarkTagFilter}
+                            onTagFilterChange={setBookmarkTagFilter}
+                            showDuplicates={showDuplicates}
+                            onShowDuplicatesChange={setShowDuplicates}
+                            showLinkProblems={showLinkProblems}
+                            onShowLinkProblemsChange={setShowLinkProblems}
+                            selectedIds={selectedBookmarkIds}
+                            onSelectedIdsChange={setSelectedBookmarkIds}
+                            highlightedId={highlightedBookmarkId}
+                            newBookmark={newBookmark}
+                            onNewBookmarkChange={setNewBookmark}
+                            pendingDuplicate={pendingDuplicate}
+                            importPreview={importPreview}
+                            linkCheckProgress={linkCheckProgress}
+                            ownerName={displayNameOf(profiles?.[userId], userId)}
+                            isGuest={Boolean(account?.isAnonymous)}
+                            onFileSelect={handleBookmarkFileSelect}
+                            onImport={handleBookmarkImport}
+                            onImportCancel={() => setImportPreview(null)}
+                            onExport={handleBookmarkExport}
+                            onMergeDuplicates={handleDuplicatesMerge}
+                            onCheckLinks={handleCheckLinks}
+                            onAdd={handleBookmarkAdd}
+                            onUrlLookup={handleBookmarkUrlLookup}
+                            onResolveDuplicate={handleDuplicateResolve}
+                            onMove={handleBookmarkMove}
+                            onFollowRedirect={handleBookmarkFollowRedirect}
+                            onInitialSave={handleInitialBookmarkSave}
+                            onDelete={handleBookmarkDelete}
+                        />
+                    </>
+                );
+            case 'collection':
+                if (viewedCollection === undefined) return <LoadingView label="Loading collection..." />;
+                if (!viewedCollection) return <NotFound title="Collection not found" detail="It may have been unpublished, or the link is wrong." />;
+                return (
+                    <CollectionView
+                        collection={viewedCollection}
+                        profiles={profiles}
+                        userId={userId}
+                        bookmarks={bookmarks}
+                        onCopy={handleCollectionCopy}
+                        onEdit={handleCollectionEdit}
+                    />
+                );
+            case 'profile':
+                return (
+                    <ProfileView
+                        profileId={route.id}
+                        profile={profiles?.[route.id]}
+                        posts={profilePosts?.userId === route.id ? profilePosts.posts.filter(canSeePost) : null}
+                        userId={userId}
+                    />
+                );
+            case 'account':
+                if (!profiles) return <LoadingView label="Loading profile..." />;
+                return (
+                    <AccountSettings
+                        key={userId}
+                        userId={userId}
+                        profile={profiles[userId]}
+                        account={account}
+                        onSaveProfile={handleProfileSave}
+                        onLink={handleAccountLink}
+                        onSignIn={handleSignIn}
+                        onSignOut={handleSignOut}
+                    />
+                );
+            case 'folders':
+                if (!folderSnapshots) return <LoadingView label="Loading folder snapshots..." />;
+                return (
+                    <FolderInventory
+                        key={userId}
+                        snapshots={folderSnapshots}
+                        onSave={handleFolderSnapshotSave}
+                        onDelete={handleFolderSnapshotDelete}
+                    />
+                );
             default:
-                return <BlogList />;
+                return <NotFound title="Page not found" detail={`There is nothing at '${route.path}'.`} />;
         }
-    }, [currentPage, loading, selectedPost, posts, bookmarks, userId, handlePostSubmit, handleBookmarkAdd, handleBookmarkDelete, handleInitialBookmarkSave]);
+    }, [route, loading, storage, routePostId, selectedPost, directPost, newPost, draftStatus, drafts, routeDraft, scheduledPosts, visiblePosts, now, canSeePost, feedCursor, loadingMorePosts, handleLoadMorePosts, profiles, profilePosts, account, handleProfileSave, handleAccountLink, handleSignIn, handleSignOut, handlePostRestore, handleFeedExport, selectedBookmarkIds, editingCollectionId, myCollections, viewedCollection, handleCollectionPublish, handleCollectionEdit, handleCollectionCancel, handleCollectionUnpublish, handleCollectionCopyLink, handleCollectionCopy, pendingDeletePostId, posts, bookmarks, userId, handlePostSubmit, handleDraftDelete, handlePostUpdate, handlePostDelete, newBookmark, handleBookmarkAdd, handleBookmarkDelete, handleInitialBookmarkSave, handleBookmarkMove, folderTree, folderPaths, tagCounts, visibleBookmarks, bookmarkFolderFilter, bookmarkTagFilter, highlightedBookmarkId, importPreview, handleBookmarkFileSelect, handleBookmarkImport, handleBookmarkExport, pendingDuplicate, handleDuplicateResolve, showDuplicates, duplicateGroups, handleDuplicatesMerge, handleBookmarkUrlLookup, handleCheckLinks, handleBookmarkFollowRedirect, linkCheckProgress, showLinkProblems, linkProblemCount, folderSnapshots, handleFolderSnapshotSave, handleFolderSnapshotDelete]);
 
     return (
         <div className="min-h-screen bg-gray-50">
             <script src="https://kit.fontawesome.com/a076d05399.js" crossOrigin="anonymous"></script>
             <script src="https://cdn.tailwindcss.com"></script>
             <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap" rel="stylesheet" />
+            <link href="https://cdn.jsdelivr.net/npm/highlight.js@11/styles/github.min.css" rel="stylesheet" />
             <style jsx="true">{`
                 body { font-family: 'Inter', sans-serif; }
                 .line-clamp-2 {
@@ -460,17 +3722,34 @@ const App = () => {
                     -webkit-box-orient: vertical;
                     overflow: hidden;
                 }
+                .markdown-body > * + * { margin-top: 1rem; }
+                .markdown-body h1 { font-size: 1.875rem; font-weight: 700; }
+                .markdown-body h2 { font-size: 1.5rem; font-weight: 700; }
+                .markdown-body h3 { font-size: 1.25rem; font-weight: 600; }
+                .markdown-body h4, .markdown-body h5, .markdown-body h6 { font-weight: 600; }
+                .markdown-body ul { list-style: disc; padding-left: 1.5rem; }
+                .markdown-body ol { list-style: decimal; padding-left: 1.5rem; }
+                .markdown-body a { color: #2563eb; text-decoration: underline; }
+                .markdown-body blockquote { border-left: 4px solid #e5e7eb; padding-left: 1rem; color: #6b7280; }
+                .markdown-body code { font-family: ui-monospace, monospace; font-size: 0.875em; background: #f3f4f6; padding: 0.1rem 0.3rem; border-radius: 0.25rem; }
+                .markdown-body pre { background: #f6f8fa; padding: 1rem; border-radius: 0.5rem; overflow-x: auto; }
+                .markdown-body pre code { background: none; padding: 0; }
+                .markdown-body table { border-collapse: collapse; }
+                .markdown-body th, .markdown-body td { border: 1px solid #e5e7eb; padding: 0.375rem 0.75rem; }
+                .markdown-body th { background: #f9fafb; font-weight: 600; }
+                .markdown-body img { max-width: 100%; border-radius: 0.5rem; }
             `}</style>
-            <Header />
+            <Header
+                currentPage={route.name}
+                syncStatus={syncStatus}
+                onResolveSyncProblem={(problemId, action) => storage.resolveSyncProblem(problemId, action)}
+            >
+                <SearchBox onSearch={handleSearch} onSelect={handleSearchSelect} scopeNote={searchScopeNote} />
+            </Header>
             <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-24">
-                {message && (
-                    <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded-lg mb-6 shadow-md" role="alert">
-                        <p className="font-bold">Notice:</p>
-                        <p className="text-sm">{message}</p>
-                    </div>
-                )}
                 {renderContent}
             </main>
+            <NotificationCenter />
         </div>
     );
 };
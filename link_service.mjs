@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+// link_service.mjs
+// Local companion service that looks up bookmark URLs for the app: HTTP status, final redirect
+// target, page title, description and favicon. Browsers cannot read other sites' pages, so the
+// app asks this service instead when it is configured with __link_service_url.
+//
+// Usage:
+//   node link_service.mjs --allow-origin ORIGIN [--port 8787] [--host 127.0.0.1] [--timeout MS] [--allow-private]
+//
+// ORIGIN is where the app is served from, e.g. http://localhost:5173; requests from other pages
+// are refused. Links on private, loopback and link-local addresses (the intranet, this machine)
+// are not fetched unless --allow-private is given, so no page can use the service to look
+// around the user's network.
+//
+// API:
+//   GET  /health                          -> { ok: true }
+//   POST /metadata  { urls: [string] }    -> { results: [{ url, status, ok, finalUrl, redirected,
+//                                                          title, description, favicon, error }] }
+//   `status` is null when the site could not be reached or was not checked; `error` then says why.
+//
+// The functions below are exported, so the service can be started against a stub HTTP server:
+//   import { createLinkService } from './link_service.mjs';
+// Needs Node 20 or later for the global fetch.
+
+import { createServer } from 'node:http';
+import { lookup } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+
+// Most URLs one request may ask about
+export const MAX_URLS = 50;
+// Pages fetched at the same time
+const CONCURRENCY = 4;
+// Only the start of a page is read; the head holds everything we need
+const MAX_HTML_BYTES = 256 * 1024;
+const MAX_REQUEST_BYTES = 64 * 1024;
+// Hops followed before a link counts as a redirect loop
+const MAX_REDIRECTS = 10;
+
+// Private, loopback, link-local and unspecified addresses
+const privateAddresses = new BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+    .forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = text => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()] ?? match;
+    const codePoint = entity[1].toLowerCase() === 'x' ? Number.parseInt(entity.slice(2), 16) : Number.parseInt(entity.slice(1), 10);
+    return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+});
+
+const cleanText = (text, maxLength) => {
+    const value = decodeEntities(String(text ?? '')).replace(/\s+/g, ' ').trim();
+    return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+};
+
+/**
+ * Reads the attributes of an HTML start tag, with lower-cased names.
+ */
+const tagAttributes = (tag) => {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, bare] of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+        attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+    }
+    return attributes;
+};
+
+/**
+ * Only http(s) links are passed on to the app.
+ */
+const resolveHttpUrl = (href, baseUrl) => {
+    try {
+        const url = new URL(decodeEntities(href.trim()), baseUrl);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Extracts the title, description and favicon from the start of an HTML page.
+ * Falls back to Open Graph tags, and to /favicon.ico when the page names no icon.
+ * @param {string} html
+ * @param {string} baseUrl - The page's final URL, against which relative links resolve.
+ * @returns {{title: string, description: string, favicon: string|null}}
+ */
+export const parseHtmlMetadata = (html, baseUrl) => {
+    const meta = {};
+    let icon = null;
+    for (const [tag] of html.matchAll(/<(?:meta|link)\b[^>]*>/gi)) {
+        const attributes = tagAttributes(tag);
+        if (/^<meta/i.test(tag)) {
+            const key = (attributes.name || attributes.property || '').toLowerCase();
+            if (key && attributes.content !== undefined && !(key in meta)) meta[key] = attributes.content;
+        } else if (!icon && attributes.href && /(^|\s)(shortcut\s+)?icon(\s|$)/i.test(attributes.rel || '')) {
+            icon = attributes.href;
+        }
+    }
+    const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+
+    return {
+        title: cleanText(title || meta['og:title'], 200),
+        description: cleanText(meta.description || meta['og:description'], 500),
+        favicon: resolveHttpUrl(icon || '/favicon.ico', baseUrl),
+    };
+};
+
+const isPrivateAddress = (address) => {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+    if (mapped) return privateAddresses.check(mapped, 'ipv4');
+    return privateAddresses.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Whether a URL's host is, or resolves to, a private, loopback or link-local address.
+ */
+const isPrivateHost = async (url) => {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = isIP(hostname) ? [hostname] : (await lookup(hostname, { all: true })).map(entry => entry.address);
+    return addresses.some(isPrivateAddress);
+};
+
+/**
+ * Reads at most `maxBytes` of a response body as text, in the charset the server declared.
+ */
+const readText = async (response, maxBytes) => {
+    const chunks = [];
+    let size = 0;
+    const reader = response.body.getReader();
+    while (size < maxBytes) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        size += value.length;
+    }
+    await reader.cancel().catch(() => {});
+
+    const charset = response.headers.get('content-type')?.match(/charset=["']?([\w-]+)/i)?.[1];
+    const bytes = Buffer.concat(chunks).subarray(0, maxBytes);
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(bytes);
+    } catch {
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+};
+
+/**
+ * Fetches one URL, following redirects, and reports what was found.
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeout=10000] - Milliseconds before the site counts as unreachable.
+ * @param {boolean} [options.allowPrivate=false] - Also fetch private, loopback and link-local
+ *   addresses. Without it they are refused, on every redirect hop too.
+ * @returns {Promise<object>} One entry of the /metadata results.
+ */
+export const fetchLinkMetadata = async (url, { timeout = 10000, allowPrivate = false } = {}) => {
+    const result = { url, status: null, ok: false, finalUrl: url, redirected: false, title: '', description: '', favicon: null, error: null };
+
+    let target;
+    try {
+        target = new URL(url);
+    } catch {
+        return { ...result, error: 'Not a valid URL.' };
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') return { ...result, error: 'Only http and https links can be checked.' };
+
+    try {
+        const signal = AbortSignal.timeout(timeout);
+        let current = target;
+        let response;
+        // Redirects are followed by hand, so each hop's address is checked before it is fetched
+        for (let hops = 0; ; hops++) {
+            const moved = { finalUrl: current.href, redirected: current.href !== target.href };
+            if (current.protocol !== 'http:' && current.protocol !== 'https:') return { ...result, ...moved, error: 'Only http and https links can be checked.' };
+            if (!allowPrivate && await isPrivateHost(current)) return { ...result, ...moved, error: 'Private and local addresses are not checked.' };
+
+            response = await fetch(current, {
+                redirect: 'manual',
+                signal,
+                headers: { 'user-agent': 'KalariLinkService/1.0', accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' },
+            });
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) break;
+
+            await response.body?.cancel().catch(() => {});
+            if (hops === MAX_REDIRECTS) return { ...result, ...moved, error: 'Too many redirects.' };
+            current = new URL(location, current);
+        }
+        const finalUrl = current.href;
+        const details = {
+            status: response.status,
+            ok: response.ok,
+            finalUrl,
+            redirected: finalUrl !== target.href,
+        };
+
+        if (!response.ok || !/html/i.test(response.headers.get('content-type') || '')) {
+            await response.body?.cancel().catch(() => {});
+            return { ...result, ...details, ...(response.ok && { favicon: resolveHttpUrl('/favicon.ico', finalUrl) }) };
+        }
+        return { ...result, ...details, ...parseHtmlMetadata(await readText(response, MAX_HTML_BYTES), finalUrl) };
+    } catch (error) {
+        const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+        return { ...result, error: timedOut ? 'Timed out.' : (error.cause?.code || error.code || error.cause?.message || error.message) };
+    }
+};
+
+/**
+ * Runs `task` over `items` with at most `limit` running at once, keeping the order of results.
+ */
+const mapLimited = async (items, limit, task) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+const readJsonBody = request => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_REQUEST_BYTES) {
+            reject(Object.assign(new Error('Request body is too large.'), { statusCode: 413 }));
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch {
+            reject(Object.assign(new Error('Request body must be JSON.'), { statusCode: 400 }));
+        }
+    });
+    request.on('error', reject);
+});
+
+/**
+ * Creates the HTTP server; call `listen` on it to start.
+ * @param {object} options
+ * @param {string} options.allowOrigin - Where the app is served from, sent as Access-Control-Allow-Origin.
+ *   Requests from any other origin are refused; '*' must be asked for explicitly.
+ * @param {number} [options.timeout=10000] - Per-link timeout in milliseconds.
+ * @param {boolean} [options.allowPrivate=false] - Also look up links on private, loopback and link-local addresses.
+ * @returns {import('node:http').Server}
+ * @throws {Error} When `allowOrigin` is missing.
+ */
+export const createLinkService = ({ allowOrigin, timeout = 10000, allowPrivate = false } = {}) => {
+    if (!allowOrigin) throw new Error('Set allowOrigin to the origin the app is served from.');
+
+    return createServer(async (request, response) => {
+        const send = (statusCode, body) => {
+            response.writeHead(statusCode, {
+                'content-type': 'application/json; charset=utf-8',
+                'access-control-allow-origin': allowOrigin,
+                'access-control-allow-methods': 'GET, POST, OPTIONS',
+                'access-control-allow-headers': 'content-type',
+                vary: 'origin',
+            });
+            response.end(body === undefined ? '' : JSON.stringify(body));
+        };
+
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const { origin } = request.headers;
+        try {
+            // Browsers send the page's origin; only the app's own pages may use the service
+            if (origin && allowOrigin !== '*' && origin !== allowOrigin) return send(403, { error: 'Origin not allowed.' });
+            if (request.method === 'OPTIONS') return send(204);
+            if (request.method === 'GET' && pathname === '/health') return send(200, { ok: true });
+            if (pathname !== '/metadata') return send(404, { error: 'Not found.' });
+            if (request.method !== 'POST') return send(405, { error: 'Use POST.' });
+
+            const { urls } = await readJsonBody(request);
+            if (!Array.isArray(urls) || urls.some(url => typeof url !== 'string')) return send(400, { error: 'Send { "urls": [...] } with string URLs.' });
+            if (urls.length > MAX_URLS) return send(400, { error: `At most ${MAX_URLS} URLs per request.` });
+
+            send(200, { results: await mapLimited(urls, CONCURRENCY, url => fetchLinkMetadata(url, { timeout, allowPrivate })) });
+        } catch (error) {
+            if (!response.headersSent) send(error.statusCode || 500, { error: error.message });
+        }
+    });
+};
+
+const main = () => {
+    const { values: args } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8787' },
+            host: { type: 'string', default: '127.0.0.1' },
+            'allow-origin': { type: 'string' },
+            timeout: { type: 'string', default: '10000' },
+            'allow-private': { type: 'boolean', default: false },
+        },
+    });
+
+    if (!args['allow-origin']) {
+        console.error('Error: --allow-origin is required, e.g. --allow-origin http://localhost:5173.');
+        process.exit(1);
+    }
+
+    const port = Number.parseInt(args.port, 10);
+    const timeout = Number.parseInt(args.timeout, 10);
+    if (!(port >= 0) || !(timeout > 0)) {
+        console.error('Error: --port and --timeout must be numbers.');
+        process.exit(1);
+    }
+
+    const server = createLinkService({ allowOrigin: args['allow-origin'], timeout, allowPrivate: args['allow-private'] });
+    server.listen(port, args.host, () => {
+        console.log(`Link service listening on http://${args.host}:${server.address().port}`);
+    });
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
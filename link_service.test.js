@@ -0,0 +1,141 @@
+import { createServer } from 'node:http';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createLinkService } from './link_service.mjs';
+
+const APP_ORIGIN = 'http://app.example';
+
+const PAGE = `<!doctype html>
+<html><head>
+<title>  Kalari &amp; Friends </title>
+<meta name="description" content="Notes on practice.">
+<link rel="shortcut icon" href="/static/icon.png">
+</head><body>Hello</body></html>`;
+
+// A stand-in for the sites the service looks up
+const stubSite = () => createServer((request, response) => {
+    switch (request.url) {
+        case '/page':
+            return response.writeHead(200, { 'content-type': 'text/html; charset=utf-8' }).end(PAGE);
+        case '/old':
+            return response.writeHead(301, { location: '/moved' }).end();
+        case '/moved':
+            return response.writeHead(302, { location: '/page' }).end();
+        case '/unsafe-icon':
+            return response.writeHead(200, { 'content-type': 'text/html' }).end('<head><link rel="icon" href="javascript:alert(1)"></head>');
+        case '/slow':
+            // Answers long after the service has given up
+            return setTimeout(() => response.writeHead(200, { 'content-type': 'text/html' }).end(PAGE), 1000);
+        default:
+            return response.writeHead(404, { 'content-type': 'text/html' }).end('<title>Not here</title>');
+    }
+});
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+const close = (server) => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+};
+
+describe('link service', () => {
+    let site;
+    let service;
+    let guardedService;
+    let siteUrl;
+    let serviceUrl;
+    let guardedServiceUrl;
+
+    const post = (url, body, headers = {}) => fetch(`${url}/metadata`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', origin: APP_ORIGIN, ...headers },
+        body: JSON.stringify(body),
+    });
+
+    const lookUp = async (...paths) => {
+        const response = await post(serviceUrl, { urls: paths.map(path => (path.startsWith('/') ? `${siteUrl}${path}` : path)) });
+        expect(response.status).toBe(200);
+        return (await response.json()).results;
+    };
+
+    beforeAll(async () => {
+        site = stubSite();
+        // The stub site is on this machine, so the service under test must allow local addresses
+        service = createLinkService({ allowOrigin: APP_ORIGIN, timeout: 200, allowPrivate: true });
+        guardedService = createLinkService({ allowOrigin: APP_ORIGIN, timeout: 200 });
+        siteUrl = await listen(site);
+        serviceUrl = await listen(service);
+        guardedServiceUrl = await listen(guardedService);
+    });
+
+    afterAll(async () => {
+        await close(guardedService);
+        await close(service);
+        await close(site);
+    });
+
+    it('reads the title, description and favicon from the head of a page', async () => {
+        const [result] = await lookUp('/page');
+        expect(result).toMatchObject({
+            status: 200,
+            ok: true,
+            redirected: false,
+            title: 'Kalari & Friends',
+            description: 'Notes on practice.',
+            favicon: `${siteUrl}/static/icon.png`,
+            error: null,
+        });
+    });
+
+    it('follows redirects to the final page', async () => {
+        const [result] = await lookUp('/old');
+        expect(result).toMatchObject({ url: `${siteUrl}/old`, status: 200, redirected: true, finalUrl: `${siteUrl}/page`, title: 'Kalari & Friends' });
+    });
+
+    it('reports a missing page without reading it', async () => {
+        const [result] = await lookUp('/missing');
+        expect(result).toMatchObject({ status: 404, ok: false, title: '', favicon: null, error: null });
+    });
+
+    it('gives up on a site that does not answer in time', async () => {
+        const [result] = await lookUp('/slow');
+        expect(result).toMatchObject({ status: null, ok: false, error: 'Timed out.' });
+    });
+
+    it('passes on only http(s) favicons and links', async () => {
+        const [unsafe, other] = await lookUp('/unsafe-icon', 'ftp://example.com/file');
+        expect(unsafe.favicon).toBeNull();
+        expect(other).toMatchObject({ status: null, error: 'Only http and https links can be checked.' });
+    });
+
+    it('keeps the order of the results', async () => {
+        const results = await lookUp('/missing', '/page', '/old');
+        expect(results.map(result => result.status)).toEqual([404, 200, 200]);
+    });
+
+    it('rejects a body without a list of URLs', async () => {
+        const response = await post(serviceUrl, { urls: 'x' });
+        expect(response.status).toBe(400);
+    });
+
+    it('needs to be told which origin the app is served from', () => {
+        expect(() => createLinkService()).toThrow('allowOrigin');
+        expect(() => createLinkService({ timeout: 200 })).toThrow('allowOrigin');
+    });
+
+    it('refuses requests from other pages', async () => {
+        const response = await post(serviceUrl, { urls: [`${siteUrl}/page`] }, { origin: 'https://elsewhere.example' });
+        expect(response.status).toBe(403);
+
+        const allowed = await post(serviceUrl, { urls: [] });
+        expect(allowed.headers.get('access-control-allow-origin')).toBe(APP_ORIGIN);
+    });
+
+    it('does not fetch private, loopback or link-local addresses by default', async () => {
+        const urls = [`${siteUrl}/page`, 'http://localhost/', 'http://10.1.2.3/', 'http://192.168.0.1/', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/', 'http://[fe80::1]/'];
+        const response = await post(guardedServiceUrl, { urls });
+        const { results } = await response.json();
+
+        expect(results.map(result => result.error)).toEqual(urls.map(() => 'Private and local addresses are not checked.'));
+        expect(results.every(result => result.status === null && result.title === '')).toBe(true);
+    });
+});
@@ -0,0 +1,82 @@
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+import hljs from 'highlight.js';
+import DOMPurify from 'dompurify';
+
+/**
+ * Markdown helpers for blog posts.
+ * Posts are authored in GitHub-flavoured Markdown (headings, lists, fenced code,
+ * tables, links and images by URL) and always sanitized before they reach the DOM.
+ */
+
+const marked = new Marked(
+    markedHighlight({
+        langPrefix: 'hljs language-',
+        highlight(code, lang) {
+            const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+            return hljs.highlight(code, { language }).value;
+        },
+    }),
+    { gfm: true, breaks: true }
+);
+
+// Open links in a new tab without handing the opener to the target page.
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+    }
+});
+
+/**
+ * Renders Markdown to HTML that is safe to pass to dangerouslySetInnerHTML.
+ * @param {string} source - Markdown text.
+ * @returns {string} Sanitized HTML.
+ */
+export const renderMarkdown = (source) => {
+    const html = marked.parse(source || '');
+    return DOMPurify.sanitize(html, { ADD_ATTR: ['target'] });
+};
+
+// Collects the readable text of a token list, skipping code blocks and raw HTML.
+const tokensToText = (tokens = []) => tokens.map((token) => {
+    switch (token.type) {
+        case 'code':
+        case 'html':
+        case 'hr':
+        case 'space':
+            return '';
+        case 'image':
+            return token.text || '';
+        case 'codespan':
+            return token.text;
+        case 'list':
+            return `${token.items.map(item => tokensToText(item.tokens)).join(' ')} `;
+        case 'table':
+            return `${[token.header, ...token.rows]
+                .map(row => row.map(cell => tokensToText(cell.tokens)).join(' '))
+                .join(' ')} `;
+        case 'paragraph':
+        case 'heading':
+        case 'blockquote':
+            return `${tokensToText(token.tokens)} `;
+        default:
+            return token.tokens ? tokensToText(token.tokens) : (token.text || '');
+    }
+}).join('');
+
+/**
+ * Produces a plain-text excerpt of a Markdown document for list views.
+ * @param {string} source - Markdown text.
+ * @param {number} [maxLength=200] - Maximum excerpt length in characters.
+ * @returns {string} Excerpt with Markdown syntax removed.
+ */
+export const markdownExcerpt = (source, maxLength = 200) => {
+    const text = tokensToText(marked.lexer(source || ''))
+        .replace(/&(amp|lt|gt|quot|#39);/g, (_, entity) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" }[entity]))
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (text.length <= maxLength) return text;
+    return `${text.slice(0, maxLength).replace(/\s+\S*$/, '')}…`;
+};
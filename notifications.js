@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * App-wide notification queue. Like navigate() in router.js, notify can be called from any
+ * component or handler; useNotifications() re-renders whoever shows the queue.
+ *
+ *   notify.success("Bookmark saved.");
+ *   notify.error("Failed to save bookmark.");
+ *   notify.info("Bookmark deleted.", { action: { label: 'Undo', onAction: restore } });
+ *
+ * Errors stay until dismissed; the other types dismiss themselves after a few seconds,
+ * unless the reader is pointing at or focused on them (see hold and release).
+ */
+
+// Milliseconds a notification stays up; null keeps it until it is dismissed
+const DURATIONS = { success: 5000, info: 6000, warning: 8000, error: null };
+// Time to use an action such as Undo before the notification goes away
+const ACTION_DURATION = 10000;
+// Oldest notifications make way beyond this many
+const MAX_NOTIFICATIONS = 5;
+
+let notifications = [];
+let nextId = 1;
+const listeners = new Set();
+const timers = new Map();
+
+const publish = (next) => {
+    notifications = next;
+    listeners.forEach(listener => listener(notifications));
+};
+
+const clearTimer = (id) => {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+};
+
+const startTimer = (notification) => {
+    clearTimer(notification.id);
+    if (notification.duration) timers.set(notification.id, setTimeout(() => dismiss(notification.id), notification.duration));
+};
+
+/**
+ * Removes a notification, e.g. when its close button is pressed.
+ * @param {number} id
+ */
+export const dismiss = (id) => {
+    clearTimer(id);
+    if (notifications.some(notification => notification.id === id)) {
+        publish(notifications.filter(notification => notification.id !== id));
+    }
+};
+
+/**
+ * Stops a notification from dismissing itself while the reader is looking at it.
+ * @param {number} id
+ */
+export const hold = id => clearTimer(id);
+
+/**
+ * Restarts the dismiss timer that hold() stopped.
+ * @param {number} id
+ */
+export const release = (id) => {
+    const notification = notifications.find(entry => entry.id === id);
+    if (notification) startTimer(notification);
+};
+
+const push = (type, text, { action = null, duration } = {}) => {
+    const notification = {
+        id: nextId++,
+        type,
+        text,
+        action,
+        duration: duration !== undefined ? duration : (action ? ACTION_DURATION : DURATIONS[type]),
+    };
+
+    // The same message again (say, a repeated "App not ready") replaces the old copy
+    const kept = notifications.filter(entry => action || entry.action || entry.type !== type || entry.text !== text);
+    const overflow = kept.slice(0, Math.max(0, kept.length - MAX_NOTIFICATIONS + 1));
+    [...notifications.filter(entry => !kept.includes(entry)), ...overflow].forEach(entry => clearTimer(entry.id));
+
+    publish([...kept.slice(overflow.length), notification]);
+    startTimer(notification);
+};
+
+/**
+ * Shows a notification of the given type. Each method takes the text and optional settings:
+ * `action` ({ label, onAction }) adds a button, and `duration` overrides how long it stays.
+ * They return nothing, so handlers can still `return notify.warning(...)` to bail out falsy.
+ * @type {Record<'success'|'info'|'warning'|'error', function(string, {action?: {label: string, onAction: function}, duration?: number|null}=): void>}
+ */
+export const notify = {
+    success: (text, options) => push('success', text, options),
+    info: (text, options) => push('info', text, options),
+    warning: (text, options) => push('warning', text, options),
+    error: (text, options) => push('error', text, options),
+};
+
+/**
+ * The current notifications, oldest first.
+ * @returns {Array<{id: number, type: string, text: string, action: object|null}>}
+ */
+export const useNotifications = () => {
+    const [current, setCurrent] = useState(notifications);
+
+    useEffect(() => {
+        listeners.add(setCurrent);
+        setCurrent(notifications);
+        return () => listeners.delete(setCurrent);
+    }, []);
+
+    return current;
+};
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { parseRoute } from './routes';
+
+/**
+ * Minimal hash router. Routes live in the URL fragment so they work on any static host
+ * and survive reloads, and every navigation is a browser history entry.
+ * The routes themselves and their link builders are in routes.js.
+ */
+
+export { parseRoute, routes } from './routes';
+
+/**
+ * Navigates to a hash path, adding a history entry unless `replace` is set.
+ * @param {string} hashPath - One of the `routes` builders' results.
+ * @param {{replace?: boolean}} [options] - `replace` swaps the current entry instead
+ */
+export const navigate = (hashPath, { replace = false } = {}) => {
+    if (replace) {
+        window.location.replace(hashPath);
+    } else {
+        window.location.hash = hashPath;
+    }
+};
+
+/**
+ * React hook returning the current route and updating on back/forward and link clicks.
+ * @returns {{name: string, id?: string, path: string}}
+ */
+export const useHashRoute = () => {
+    const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+    useEffect(() => {
+        const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    return route;
+};
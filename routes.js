@@ -0,0 +1,67 @@
+/**
+ * Hash routes of the app and the builders for links to them. Kept free of React so
+ * Node scripts such as build_feed.mjs can build the same permalinks as the app.
+ *
+ *   #/blog            -> { name: 'blog' }
+ *   #/post/:id        -> { name: 'post', id }
+ *   #/post/:id/edit   -> { name: 'edit', id }
+ *   #/new             -> { name: 'new' }
+ *   #/drafts          -> { name: 'drafts' }
+ *   #/draft/:id       -> { name: 'draft', id }
+ *   #/bookmarks       -> { name: 'bookmarks' }
+ *   #/collection/:id  -> { name: 'collection', id }
+ *   #/user/:id        -> { name: 'profile', id }
+ *   #/folders         -> { name: 'folders' }
+ *   #/account         -> { name: 'account' }
+ *   anything else     -> { name: 'notFound', path }
+ */
+
+const ROUTES = [
+    { pattern: /^\/?$/, name: 'blog' },
+    { pattern: /^\/blog\/?$/, name: 'blog' },
+    { pattern: /^\/post\/([^/]+)\/?$/, name: 'post' },
+    { pattern: /^\/post\/([^/]+)\/edit\/?$/, name: 'edit' },
+    { pattern: /^\/new\/?$/, name: 'new' },
+    { pattern: /^\/drafts\/?$/, name: 'drafts' },
+    { pattern: /^\/draft\/([^/]+)\/?$/, name: 'draft' },
+    { pattern: /^\/bookmarks\/?$/, name: 'bookmarks' },
+    { pattern: /^\/collection\/([^/]+)\/?$/, name: 'collection' },
+    { pattern: /^\/user\/([^/]+)\/?$/, name: 'profile' },
+    { pattern: /^\/account\/?$/, name: 'account' },
+    { pattern: /^\/folders\/?$/, name: 'folders' },
+];
+
+/**
+ * Parses a location hash into a route object.
+ * @param {string} hash - e.g. '#/post/abc123'
+ * @returns {{name: string, id?: string, path: string}}
+ */
+export const parseRoute = (hash) => {
+    const path = (hash || '').replace(/^#/, '');
+    for (const { pattern, name } of ROUTES) {
+        const match = path.match(pattern);
+        if (!match) continue;
+        if (!match[1]) return { name, path };
+        try {
+            return { name, id: decodeURIComponent(match[1]), path };
+        } catch {
+            break; // Malformed escape sequence in the id
+        }
+    }
+    return { name: 'notFound', path };
+};
+
+/** Hash paths for each route, so links are built in one place. */
+export const routes = {
+    blog: () => '#/blog',
+    post: id => `#/post/${encodeURIComponent(id)}`,
+    edit: id => `#/post/${encodeURIComponent(id)}/edit`,
+    newPost: () => '#/new',
+    drafts: () => '#/drafts',
+    draft: id => `#/draft/${encodeURIComponent(id)}`,
+    bookmarks: () => '#/bookmarks',
+    collection: id => `#/collection/${encodeURIComponent(id)}`,
+    profile: id => `#/user/${encodeURIComponent(id)}`,
+    account: () => '#/account',
+    folders: () => '#/folders',
+};
@@ -0,0 +1,137 @@
+/**
+ * Small client-side inverted index used by the unified search in the header.
+ * Documents are { type, id, title, body }; title matches rank above body matches,
+ * whole-word matches above prefix matches. The index is updated one document at
+ * a time so it can follow Firestore snapshot changes without rebuilding.
+ */
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+const FIELD_WEIGHTS = { title: 3, body: 1 };
+const EXACT_BONUS = 2;
+
+/**
+ * Splits text into lower-case word tokens. Combining marks are kept so Tamil and
+ * other Indic scripts tokenize into whole words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => (String(text || '').toLowerCase().match(WORD_PATTERN) || []);
+
+/**
+ * Creates an empty search index.
+ * @returns {{upsert: Function, remove: Function, search: Function, size: Function}}
+ */
+export const createSearchIndex = () => {
+    const postings = new Map(); // term -> Map(docKey -> weight)
+    const documents = new Map(); // docKey -> { doc, terms }
+
+    const keyOf = (type, id) => `${type}:${id}`;
+
+    const remove = (type, id) => {
+        const key = keyOf(type, id);
+        const entry = documents.get(key);
+        if (!entry) return;
+
+        entry.terms.forEach((term) => {
+            const docs = postings.get(term);
+            docs.delete(key);
+            if (docs.size === 0) postings.delete(term);
+        });
+        documents.delete(key);
+    };
+
+    const upsert = (doc) => {
+        remove(doc.type, doc.id);
+
+        const key = keyOf(doc.type, doc.id);
+        const weights = new Map();
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            tokenize(doc[field]).forEach((term) => {
+                weights.set(term, Math.max(weights.get(term) || 0, weight));
+            });
+        });
+
+        weights.forEach((weight, term) => {
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(key, weight);
+        });
+        documents.set(key, { doc, terms: [...weights.keys()] });
+    };
+
+    /**
+     * Finds documents containing every query word, either exactly or as a prefix.
+     * @param {string} query
+     * @param {number} [limit=20]
+     * @param {function(object): boolean} [accept] - Leaves out documents it returns false for
+     * @returns {Array<{doc: object, score: number, terms: string[]}>}
+     */
+    const search = (query, limit = 20, accept) => {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0) return [];
+
+        let scores = null;
+        queryTerms.forEach((queryTerm) => {
+            const termScores = new Map();
+            postings.forEach((docs, term) => {
+                if (!term.startsWith(queryTerm)) return;
+                const bonus = term === queryTerm ? EXACT_BONUS : 1;
+                docs.forEach((weight, key) => {
+                    termScores.set(key, Math.max(termScores.get(key) || 0, weight * bonus));
+                });
+            });
+
+            if (scores === null) {
+                scores = termScores;
+                return;
+            }
+            // Every query word has to match somewhere in the document
+            const combined = new Map();
+            scores.forEach((score, key) => {
+                if (termScores.has(key)) combined.set(key, score + termScores.get(key));
+            });
+            scores = combined;
+        });
+
+        return [...scores.entries()]
+            .map(([key, score]) => ({ doc: documents.get(key).doc, score, terms: queryTerms }))
+            .filter(result => !accept || accept(result.doc))
+            .sort((a, b) => b.score - a.score || String(a.doc.title).localeCompare(String(b.doc.title)))
+            .slice(0, limit);
+    };
+
+    return { upsert, remove, search, size: () => documents.size };
+};
+
+/**
+ * Finds the character ranges of words in `text` that start with any of the query terms.
+ * @param {string} text
+ * @param {string[]} terms - Lower-case query terms.
+ * @returns {Array<[number, number]>} Sorted [start, end) ranges.
+ */
+export const findMatchRanges = (text, terms) => {
+    const ranges = [];
+    for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+        const word = match[0].toLowerCase();
+        const term = terms.filter(t => word.startsWith(t)).sort((a, b) => b.length - a.length)[0];
+        if (term) ranges.push([match.index, match.index + term.length]);
+    }
+    return ranges;
+};
+
+/**
+ * Cuts a window of text around the first match so long bodies can be shown in results.
+ * @param {string} text
+ * @param {string[]} terms - Lower-case query terms.
+ * @param {number} [radius=60] - Characters kept on each side of the match.
+ * @returns {string}
+ */
+export const makeSnippet = (text, terms, radius = 60) => {
+    const source = String(text || '');
+    const [first] = findMatchRanges(source, terms);
+    if (!first) return source.slice(0, radius * 2);
+
+    const start = Math.max(0, first[0] - radius);
+    const end = Math.min(source.length, first[1] + radius);
+    return `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+};
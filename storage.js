@@ -0,0 +1,433 @@
+import {
+    doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, onSnapshot, collection, query, documentId,
+    where, orderBy, limit, startAfter, endAt, addDoc, writeBatch, serverTimestamp, increment as firestoreIncrement, Timestamp,
+    runTransaction as runFirestoreTransaction,
+} from 'firebase/firestore';
+
+/**
+ * Storage backends for Kalari.
+ *
+ * Every backend exposes the same collection API, addressed by path segments below
+ * /artifacts/{appId}:
+ *
+ *   storage.collection(['public', 'data', 'blog_posts'])
+ *     .subscribe(options, onNext, onError) -> unsubscribe
+ *     .list(options) -> Promise<items>
+ *     .get(id) / .add(data) / .set(id, data) / .update(id, patch) / .remove(id) / .addMany(items)
+ *
+ * `options` may contain `where: [[field, op, value], ...]`, `orderBy: [field, 'asc'|'desc']`
+ * and `limit`. With `orderBy`, the cursors `startAfter` and `endAt` take a document from an
+ * earlier result and bound the query by its position; ties are broken by id.
+ *
+ * Documents come back as plain objects with an `id` and Date values for timestamps,
+ * whichever backend produced them. `onNext(items, changes)` receives the full result plus
+ * the changes since the previous call ({ type, item } with type 'added', 'modified' or
+ * 'removed'), so callers can update derived state incrementally.
+ *
+ * `update(id, patch, { ifVersion })` only writes if the document's version (see versionOf)
+ * is still `ifVersion`, checking and writing in one step; otherwise it rejects with
+ * `error.code === 'conflict'`. `addMany(items, { ids })` writes the items under the given ids
+ * instead of new ones, so repeating it does not duplicate them.
+ *
+ * `storage.batch(writes)` applies writes to any collections together, all or none. Each write
+ * is `{ path, op: 'set'|'update'|'remove', id, data }`, with `path` as passed to `collection`.
+ */
+
+/** Placeholder for "the time this write reaches storage"; resolved by each backend. */
+export const SERVER_TIME = Symbol('serverTime');
+
+const INCREMENT = Symbol('increment');
+
+/**
+ * Placeholder that adds `by` to a numeric field (missing counts as 0) when the write is applied.
+ * @param {number} by
+ */
+export const increment = by => ({ [INCREMENT]: by });
+
+/**
+ * The amount of an `increment()` placeholder, or undefined for any other value.
+ */
+export const incrementAmount = value => (value && typeof value === 'object' ? value[INCREMENT] : undefined);
+
+/**
+ * Resolves SERVER_TIME and increment() placeholders against a document's current values.
+ * @param {object} data - Values being written.
+ * @param {object} [existing] - The document as currently stored.
+ * @param {Date} [now] - Time to use for SERVER_TIME.
+ */
+export const resolvePlaceholders = (data, existing = {}, now = new Date()) => mapValues(data, (value, key) => {
+    if (value === SERVER_TIME) return now;
+    const amount = incrementAmount(value);
+    if (amount !== undefined) return (typeof existing[key] === 'number' ? existing[key] : 0) + amount;
+    return value;
+});
+
+/**
+ * The version of a document used for conflict checks: its last edit time, else its creation time.
+ * @param {{updatedAt?: Date, timestamp?: Date}} item
+ * @returns {Date|null}
+ */
+export const versionOf = item => item?.updatedAt ?? item?.timestamp ?? null;
+
+/**
+ * Throws a `conflict` error unless the stored document is still at `version`.
+ * @param {object|null} current - The stored document, or null if there is none.
+ * @param {Date} version - The version the write was based on.
+ */
+const checkVersion = (current, version) => {
+    const conflict = message => Object.assign(new Error(message), { code: 'conflict' });
+    if (!current) throw conflict('The document was deleted since this edit was made.');
+    const stored = versionOf(current);
+    if (stored && stored.getTime() !== version.getTime()) {
+        throw conflict('The document was changed elsewhere since this edit was made.');
+    }
+};
+
+/** Collection paths shared by the app. */
+export const paths = {
+    posts: () => ['public', 'data', 'blog_posts'],
+    profiles: () => ['public', 'data', 'profiles'],
+    bookmarkCollections: () => ['public', 'data', 'bookmark_collections'],
+    bookmarks: userId => ['users', userId, 'bookmarks'],
+    drafts: userId => ['users', userId, 'drafts'],
+    folderSnapshots: userId => ['users', userId, 'folder_snapshots'],
+    comments: postId => ['public', 'data', 'blog_posts', postId, 'comments'],
+    revisions: postId => ['public', 'data', 'blog_posts', postId, 'revisions'],
+};
+
+// Firestore allows at most 500 writes per batch
+const BATCH_LIMIT = 500;
+
+const mapValues = (data, fn) => Object.fromEntries(Object.entries(data).map(([key, value]) => [key, fn(value, key)]));
+
+/**
+ * Adds the repositories the app uses most (`posts()`, `profiles()`, `bookmarkCollections()`,
+ * `bookmarks(userId)`, `drafts(userId)`, `folderSnapshots(userId)`, `comments(postId)`, `revisions(postId)`)
+ * to a storage object.
+ */
+export const withRepositories = storage => ({
+    ...storage,
+    posts: () => storage.collection(paths.posts()),
+    profiles: () => storage.collection(paths.profiles()),
+    bookmarkCollections: () => storage.collection(paths.bookmarkCollections()),
+    bookmarks: userId => storage.collection(paths.bookmarks(userId)),
+    drafts: userId => storage.collection(paths.drafts(userId)),
+    folderSnapshots: userId => storage.collection(paths.folderSnapshots(userId)),
+    comments: postId => storage.collection(paths.comments(postId)),
+    revisions: postId => storage.collection(paths.revisions(postId)),
+});
+
+// --- Firestore Backend ---
+
+/**
+ * Storage backed by Cloud Firestore under /artifacts/{appId}.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createFirestoreStorage = (db, appId) => {
+    const toFirestore = data => mapValues(data, (value) => {
+        if (value === SERVER_TIME) return serverTimestamp();
+        const amount = incrementAmount(value);
+        return amount === undefined ? value : firestoreIncrement(amount);
+    });
+    const fromSnapshot = snapshot => ({
+        id: snapshot.id,
+        // Pending server timestamps read as the local estimate instead of null
+        ...mapValues(snapshot.data({ serverTimestamps: 'estimate' }), value => (value instanceof Timestamp ? value.toDate() : value)),
+    });
+
+    const collectionApi = (segments) => {
+        const collectionPath = `/artifacts/${appId}/${segments.join('/')}`;
+        const collectionRef = collection(db, collectionPath);
+        const docRef = id => doc(db, `${collectionPath}/${id}`);
+
+        const buildQuery = (options = {}) => {
+            const constraints = (options.where || []).map(([field, op, value]) => where(field, op, value));
+            if (options.orderBy) {
+                const [field, direction = 'asc'] = options.orderBy;
+                constraints.push(orderBy(field, direction));
+                if (options.startAfter || options.endAt) {
+                    // Order by id as well so cursors between equal values are exact
+                    constraints.push(orderBy(documentId(), direction));
+                    if (options.startAfter) constraints.push(startAfter(options.startAfter[field], options.startAfter.id));
+                    if (options.endAt) constraints.push(endAt(options.endAt[field], options.endAt.id));
+                }
+            }
+            if (options.limit) constraints.push(limit(options.limit));
+            return query(collectionRef, ...constraints);
+        };
+
+        return {
+            subscribe: (options, onNext, onError) => onSnapshot(buildQuery(options), (snapshot) => {
+                const changes = snapshot.docChanges().map(change => ({ type: change.type, item: fromSnapshot(change.doc) }));
+                onNext(snapshot.docs.map(fromSnapshot), changes);
+            }, onError),
+            list: async options => (await getDocs(buildQuery(options))).docs.map(fromSnapshot),
+            get: async (id) => {
+                const snapshot = await getDoc(docRef(id));
+                return snapshot.exists() ? fromSnapshot(snapshot) : null;
+            },
+            add: async data => (await addDoc(collectionRef, toFirestore(data))).id,
+            set: (id, data) => setDoc(docRef(id), toFirestore(data)),
+            update: (id, patch, { ifVersion } = {}) => {
+                if (!ifVersion) return updateDoc(docRef(id), toFirestore(patch));
+                // Transactions need the server, so conditional updates fail with 'unavailable' offline
+                return runFirestoreTransaction(db, async (transaction) => {
+                    const snapshot = await transaction.get(docRef(id));
+                    checkVersion(snapshot.exists() ? fromSnapshot(snapshot) : null, ifVersion);
+                    transaction.update(docRef(id), toFirestore(patch));
+                });
+            },
+            remove: id => deleteDoc(docRef(id)),
+            addMany: async (items, { ids } = {}) => {
+                for (let start = 0; start < items.length; start += BATCH_LIMIT) {
+                    const batch = writeBatch(db);
+                    items.slice(start, start + BATCH_LIMIT).forEach((item, index) => {
+                        batch.set(ids ? docRef(ids[start + index]) : doc(collectionRef), toFirestore(item));
+                    });
+                    await batch.commit();
+                }
+            },
+        };
+    };
+
+    const runBatch = (writes) => {
+        const batch = writeBatch(db);
+        writes.forEach(({ path, op, id, data }) => {
+            const ref = doc(db, `/artifacts/${appId}/${path.join('/')}/${id}`);
+            if (op === 'set') batch.set(ref, toFirestore(data));
+            else if (op === 'update') batch.update(ref, toFirestore(data));
+            else if (op === 'remove') batch.delete(ref);
+            else throw new Error(`Unknown batch operation '${op}'.`);
+        });
+        return batch.commit();
+    };
+
+    return withRepositories({ backend: 'firestore', collection: collectionApi, batch: runBatch });
+};
+
+// --- Local Backend (IndexedDB or in-memory) ---
+
+/** Generates a Firestore-style random document id. */
+export const generateId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`).replace(/[^a-z0-9]/gi, '').slice(0, 20);
+
+const comparable = value => (value instanceof Date ? value.getTime() : value);
+
+const compareValues = (a, b) => {
+    const left = comparable(a);
+    const right = comparable(b);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : 1;
+};
+
+const matchesFilter = (item, [field, op, value]) => {
+    const actual = item[field];
+    switch (op) {
+        case '==': return compareValues(actual, value) === 0;
+        case '!=': return compareValues(actual, value) !== 0;
+        case '<': return actual != null && compareValues(actual, value) < 0;
+        case '<=': return actual != null && compareValues(actual, value) <= 0;
+        case '>': return actual != null && compareValues(actual, value) > 0;
+        case '>=': return actual != null && compareValues(actual, value) >= 0;
+        case 'in': return value.some(candidate => compareValues(actual, candidate) === 0);
+        case 'array-contains': return Array.isArray(actual) && actual.some(entry => compareValues(entry, value) === 0);
+        default: throw new Error(`Unsupported query operator '${op}'.`);
+    }
+};
+
+/**
+ * Applies collection query options (where, orderBy, cursors, limit) to an in-memory list of documents.
+ */
+export const runQuery = (items, options = {}) => {
+    let result = items.filter(item => (options.where || []).every(filter => matchesFilter(item, filter)));
+    if (options.orderBy) {
+        const [field, direction = 'asc'] = options.orderBy;
+        const sign = direction === 'desc' ? -1 : 1;
+        const order = (a, b) => sign * (compareValues(a[field], b[field]) || a.id.localeCompare(b.id));
+        // Like Firestore, ordering by a field leaves out documents that lack it
+        result = result
+            .filter(item => item[field] !== undefined)
+            .sort(order);
+        if (options.startAfter) result = result.filter(item => order(item, options.startAfter) > 0);
+        if (options.endAt) result = result.filter(item => order(item, options.endAt) <= 0);
+    }
+    return options.limit ? result.slice(0, options.limit) : result;
+};
+
+/**
+ * Returns a function that, given the latest result list, reports the changes since the
+ * previous call in the `{ type, item }` form passed to subscribe callbacks.
+ */
+export const createChangeTracker = () => {
+    let previous = new Map();
+    return (items) => {
+        const current = new Map(items.map(item => [item.id, item]));
+        const changes = [];
+        items.forEach((item) => {
+            const before = previous.get(item.id);
+            if (!before) changes.push({ type: 'added', item });
+            else if (JSON.stringify(before) !== JSON.stringify(item)) changes.push({ type: 'modified', item });
+        });
+        previous.forEach((item, id) => {
+            if (!current.has(id)) changes.push({ type: 'removed', item });
+        });
+        previous = current;
+        return changes;
+    };
+};
+
+const openDatabase = name => new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('documents', { keyPath: 'key' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const runTransaction = (database, mode, work) => new Promise((resolve, reject) => {
+    const transaction = database.transaction('documents', mode);
+    const request = work(transaction.objectStore('documents'));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    // An abort without a failed request (say, the quota ran out on commit) fires only this
+    transaction.onabort = () => reject(transaction.error || new Error('The IndexedDB transaction was aborted.'));
+});
+
+/**
+ * Storage kept in the browser: persisted to IndexedDB, or only in memory (useful for tests).
+ * @param {{persistence?: 'indexeddb'|'memory', databaseName?: string}} [options]
+ */
+export const createLocalStorage = ({ persistence = 'indexeddb', databaseName = 'kalari' } = {}) => {
+    const collections = new Map(); // path -> Map(id -> data)
+    const listeners = new Set();
+
+    const documentsAt = (path) => {
+        if (!collections.has(path)) collections.set(path, new Map());
+        return collections.get(path);
+    };
+
+    const databasePromise = persistence === 'indexeddb' ? openDatabase(databaseName) : Promise.resolve(null);
+    const ready = databasePromise.then(async (database) => {
+        if (!database) return;
+        const records = await runTransaction(database, 'readonly', store => store.getAll());
+        records.forEach(({ path, id, data }) => documentsAt(path).set(id, data));
+    });
+
+    // Writes the given documents in one IndexedDB transaction; `data: null` deletes
+    const persist = async (records) => {
+        const database = await databasePromise;
+        if (!database) return;
+        await runTransaction(database, 'readwrite', (store) => {
+            records.forEach(({ path, id, data }) => {
+                const key = `${path}/${id}`;
+                if (data) store.put({ key, path, id, data });
+                else store.delete(key);
+            });
+        });
+    };
+
+    const store = (path, id, data) => {
+        if (data) documentsAt(path).set(id, structuredClone(data));
+        else documentsAt(path).delete(id);
+    };
+
+    const evaluate = ({ path, options }) => runQuery(
+        [...documentsAt(path).entries()].map(([id, data]) => ({ id, ...structuredClone(data) })),
+        options,
+    );
+
+    const emit = (listener) => {
+        const items = evaluate(listener);
+        const changes = listener.trackChanges(items);
+        if (changes.length > 0 || !listener.delivered) {
+            listener.delivered = true;
+            listener.onNext(items, changes);
+        }
+    };
+
+    const notify = path => listeners.forEach((listener) => {
+        if (listener.path === path) emit(listener);
+    });
+
+    const collectionApi = (segments) => {
+        const path = segments.join('/');
+
+        // Changes the in-memory copy at once, so a check made just before cannot go stale
+        const commit = (id, data) => {
+            store(path, id, data);
+            notify(path);
+            return persist([{ path, id, data }]);
+        };
+
+        const write = async (id, data) => {
+            await ready;
+            await commit(id, data);
+        };
+
+        return {
+            subscribe: (options, onNext, onError) => {
+                const listener = { path, options, onNext, trackChanges: createChangeTracker(), delivered: false };
+                listeners.add(listener);
+                ready.then(() => listeners.has(listener) && emit(listener)).catch(onError);
+                return () => listeners.delete(listener);
+            },
+            list: async (options) => {
+                await ready;
+                return evaluate({ path, options });
+            },
+            get: async (id) => {
+                await ready;
+                const data = documentsAt(path).get(id);
+                return data ? { id, ...structuredClone(data) } : null;
+            },
+            add: async (data) => {
+                const id = generateId();
+                await write(id, resolvePlaceholders(data));
+                return id;
+            },
+            set: (id, data) => write(id, resolvePlaceholders(data)),
+            update: async (id, patch, { ifVersion } = {}) => {
+                await ready;
+                const existing = documentsAt(path).get(id);
+                if (ifVersion) checkVersion(existing ? { id, ...existing } : null, ifVersion);
+                if (!existing) throw new Error(`No document to update: ${path}/${id}`);
+                await commit(id, { ...existing, ...resolvePlaceholders(patch, existing) });
+            },
+            remove: id => write(id, null),
+            addMany: async (items, { ids } = {}) => {
+                for (const [index, item] of items.entries()) {
+                    await write(ids ? ids[index] : generateId(), resolvePlaceholders(item));
+                }
+            },
+        };
+    };
+
+    const runBatch = async (writes) => {
+        await ready;
+        // Works out every document before changing any, so a failing write leaves all unchanged
+        const staged = new Map(); // `${path}/${id}` -> { path, id, data }
+        writes.forEach(({ path: segments, op, id, data }) => {
+            const path = segments.join('/');
+            const key = `${path}/${id}`;
+            const existing = staged.has(key) ? staged.get(key).data : documentsAt(path).get(id);
+            if (op === 'set') {
+                staged.set(key, { path, id, data: resolvePlaceholders(data) });
+            } else if (op === 'update') {
+                if (!existing) throw new Error(`No document to update: ${key}`);
+                staged.set(key, { path, id, data: { ...existing, ...resolvePlaceholders(data, existing) } });
+            } else if (op === 'remove') {
+                staged.set(key, { path, id, data: null });
+            } else {
+                throw new Error(`Unknown batch operation '${op}'.`);
+            }
+        });
+
+        const records = [...staged.values()];
+        records.forEach(({ path, id, data }) => store(path, id, data));
+        new Set(records.map(record => record.path)).forEach(notify);
+        await persist(records);
+    };
+
+    return withRepositories({ backend: persistence, collection: collectionApi, batch: runBatch });
+};
@@ -0,0 +1,149 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createLocalStorage, SERVER_TIME, increment, versionOf } from './storage';
+
+let databases = 0;
+
+// The contract from the top of storage.js, run against each local backend
+describe.each(['memory', 'indexeddb'])('createLocalStorage (%s)', (persistence) => {
+    let databaseName;
+    let storage;
+    let items;
+
+    const open = () => createLocalStorage({ persistence, databaseName });
+
+    beforeEach(() => {
+        databaseName = `kalari-test-${++databases}`;
+        storage = open();
+        items = storage.collection(['items']);
+    });
+
+    it('adds and reads back documents with an id', async () => {
+        const id = await items.add({ title: 'First', tags: ['a'] });
+        expect(await items.get(id)).toEqual({ id, title: 'First', tags: ['a'] });
+        expect(await items.get('missing')).toBeNull();
+    });
+
+    it('resolves SERVER_TIME to the time of the write', async () => {
+        const before = Date.now();
+        const id = await items.add({ timestamp: SERVER_TIME });
+        const { timestamp } = await items.get(id);
+        expect(timestamp).toBeInstanceOf(Date);
+        expect(timestamp.getTime()).toBeGreaterThanOrEqual(before);
+        expect(timestamp.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('applies increments to the stored value, counting a missing field as 0', async () => {
+        await items.set('p1', { title: 'Post' });
+        await items.update('p1', { commentCount: increment(1) });
+        await items.update('p1', { commentCount: increment(1) });
+        await items.update('p1', { commentCount: increment(-1) });
+        expect((await items.get('p1')).commentCount).toBe(1);
+    });
+
+    it('writes only if the version is unchanged when asked to', async () => {
+        await items.set('p1', { title: 'Draft', timestamp: new Date(1000) });
+        const base = versionOf(await items.get('p1'));
+
+        await items.update('p1', { title: 'Edited', updatedAt: new Date(2000) }, { ifVersion: base });
+        await expect(items.update('p1', { title: 'Stale' }, { ifVersion: base })).rejects.toMatchObject({ code: 'conflict' });
+        expect((await items.get('p1')).title).toBe('Edited');
+
+        await items.remove('p1');
+        await expect(items.update('p1', { title: 'Gone' }, { ifVersion: base })).rejects.toMatchObject({ code: 'conflict' });
+        await expect(items.update('p1', { title: 'Gone' })).rejects.toThrow('No document to update');
+    });
+
+    it('filters, orders and limits queries', async () => {
+        await items.addMany([
+            { n: 3, kind: 'a' },
+            { n: 1, kind: 'a' },
+            { n: 2, kind: 'b' },
+            { kind: 'a' },
+        ]);
+
+        const ordered = await items.list({ where: [['kind', '==', 'a']], orderBy: ['n', 'desc'], limit: 5 });
+        // Ordering by a field leaves out documents without it
+        expect(ordered.map(item => item.n)).toEqual([3, 1]);
+        expect((await items.list({ orderBy: ['n', 'asc'], limit: 2 })).map(item => item.n)).toEqual([1, 2]);
+    });
+
+    it('pages with cursors, breaking ties by id', async () => {
+        await items.addMany([{ n: 1 }, { n: 2 }, { n: 2 }, { n: 2 }, { n: 3 }], { ids: ['e', 'd', 'b', 'c', 'a'] });
+        const page = options => items.list({ orderBy: ['n', 'asc'], ...options }).then(result => result.map(item => item.id));
+
+        expect(await page()).toEqual(['e', 'b', 'c', 'd', 'a']);
+        const first = await items.get('b');
+        expect(await page({ startAfter: first, limit: 2 })).toEqual(['c', 'd']);
+        expect(await page({ endAt: await items.get('c') })).toEqual(['e', 'b', 'c']);
+        expect(await page({ startAfter: first, endAt: await items.get('d') })).toEqual(['c', 'd']);
+    });
+
+    it('writes addMany under the given ids, so repeating it does not duplicate', async () => {
+        const batch = [{ n: 1 }, { n: 2 }];
+        await items.addMany(batch, { ids: ['x', 'y'] });
+        await items.addMany(batch, { ids: ['x', 'y'] });
+        expect((await items.list()).map(item => item.id).sort()).toEqual(['x', 'y']);
+    });
+
+    it('applies a batch across collections, or none of it', async () => {
+        await storage.posts().set('p1', { title: 'Post', commentCount: 1 });
+        await storage.comments('p1').set('c1', { content: 'Old' });
+
+        await storage.batch([
+            { path: ['public', 'data', 'blog_posts', 'p1', 'comments'], op: 'set', id: 'c2', data: { content: 'New' } },
+            { path: ['public', 'data', 'blog_posts', 'p1', 'comments'], op: 'remove', id: 'c1' },
+            { path: ['public', 'data', 'blog_posts'], op: 'update', id: 'p1', data: { commentCount: increment(1) } },
+        ]);
+        expect((await storage.comments('p1').list()).map(item => item.id)).toEqual(['c2']);
+        expect((await storage.posts().get('p1')).commentCount).toBe(2);
+
+        await expect(storage.batch([
+            { path: ['public', 'data', 'blog_posts', 'p1', 'comments'], op: 'remove', id: 'c2' },
+            { path: ['public', 'data', 'blog_posts'], op: 'update', id: 'missing', data: { commentCount: increment(1) } },
+        ])).rejects.toThrow('No document to update');
+        expect(await storage.comments('p1').get('c2')).not.toBeNull();
+    });
+
+    it('keeps collections apart', async () => {
+        await storage.bookmarks('u1').set('b1', { name: 'Mine' });
+        expect(await storage.bookmarks('u2').get('b1')).toBeNull();
+        expect((await storage.bookmarks('u1').list()).map(item => item.name)).toEqual(['Mine']);
+    });
+
+    it('reports the full result and the changes to subscribers', async () => {
+        await items.set('a', { n: 1 });
+        const calls = [];
+        const unsubscribe = items.subscribe({ orderBy: ['n', 'asc'] }, (result, changes) => {
+            calls.push({ ids: result.map(item => item.id), changes: changes.map(change => `${change.type}:${change.item.id}`) });
+        });
+        await items.list();
+
+        await items.set('b', { n: 2 });
+        await items.update('a', { n: 3 });
+        await items.remove('b');
+        unsubscribe();
+        await items.set('c', { n: 4 });
+
+        expect(calls).toEqual([
+            { ids: ['a'], changes: ['added:a'] },
+            { ids: ['a', 'b'], changes: ['added:b'] },
+            { ids: ['b', 'a'], changes: ['modified:a'] },
+            { ids: ['a'], changes: ['removed:b'] },
+        ]);
+    });
+
+    it.runIf(persistence === 'indexeddb')('keeps documents across page loads', async () => {
+        await items.set('p1', { title: 'Saved', timestamp: new Date(1000) });
+        await items.update('p1', { commentCount: increment(2) });
+        await items.remove(await items.add({ title: 'Removed' }));
+
+        await storage.batch([{ path: ['items'], op: 'set', id: 'p2', data: { title: 'Batched' } }]);
+
+        const reopened = open().collection(['items']);
+        expect(await reopened.list()).toEqual([
+            { id: 'p1', title: 'Saved', timestamp: new Date(1000), commentCount: 2 },
+            { id: 'p2', title: 'Batched' },
+        ]);
+    });
+});
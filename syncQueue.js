@@ -0,0 +1,369 @@
+import {
+    SERVER_TIME, increment, incrementAmount, resolvePlaceholders, generateId, runQuery, createChangeTracker, withRepositories,
+} from './storage';
+
+/**
+ * Offline-first wrapper around a storage backend (see storage.js).
+ *
+ * Every write is first appended to a durable queue in localStorage and then replayed
+ * against the backend in order, so nothing typed while offline is lost on reload. An entry
+ * leaves the queue only once the backend has acknowledged it. Subscriptions overlay the
+ * queued writes on the backend's results and mark those documents with `pending: true`.
+ *
+ * A write resolves once the backend has it, or with QUEUED when it stays in the queue for
+ * now (offline, a network error, or no answer yet), so callers can say which happened.
+ *
+ * Edits can carry the version they were based on:
+ *
+ *   storage.posts().update(id, patch, { baseVersion })
+ *
+ * If the stored document has changed (or been deleted) since, the write is not applied;
+ * the backend checks the version and writes in one step. When the caller is still waiting
+ * the promise rejects with `error.code === 'conflict'`; otherwise the write is kept as a
+ * problem in the sync status so the user can keep their version or discard it.
+ *
+ * A write the backend has not acknowledged within WRITE_TIMEOUT_MS is marked `sent` and
+ * waited for, never sent twice: it may still arrive, and an increment sent twice would count
+ * twice. Firestore never fails a write for network reasons; it keeps it in its own queue,
+ * which the app persists (persistentLocalCache), so a write still marked `sent` after a
+ * reload is left to Firestore. Conditional updates run as transactions, which Firestore does
+ * not keep, so those are sent again; if the first one did arrive, that shows as a conflict.
+ *
+ * If the queue cannot be saved (say, localStorage is full) it keeps running, and the failure
+ * shows as a 'storage' problem until a later save succeeds.
+ */
+
+/** What a write resolves with when it is kept in the queue rather than acknowledged. */
+export const QUEUED = 'queued';
+
+const WRITE_TIMEOUT_MS = 15000;
+const RETRY_INTERVAL_MS = 30000;
+
+// Errors that mean "try again later" rather than "this write is rejected"
+const NETWORK_ERROR_CODES = new Set(['unavailable', 'deadline-exceeded']);
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine;
+
+const codedError = (code, message) => Object.assign(new Error(message), { code });
+
+// JSON with Dates and the storage placeholders preserved
+const encode = value => JSON.stringify(value, function replacer(key, current) {
+    const raw = this[key];
+    if (raw instanceof Date) return { $date: raw.toISOString() };
+    if (raw === SERVER_TIME) return { $serverTime: true };
+    if (incrementAmount(raw) !== undefined) return { $increment: incrementAmount(raw) };
+    return current;
+});
+
+const decode = text => JSON.parse(text, (key, value) => {
+    if (value && typeof value === 'object') {
+        if (value.$date) return new Date(value.$date);
+        if (value.$serverTime) return SERVER_TIME;
+        if (value.$increment !== undefined) return increment(value.$increment);
+    }
+    return value;
+});
+
+/**
+ * Wraps a storage backend with a durable, ordered write queue.
+ * @param {object} storage - A backend created by storage.js.
+ * @param {{storageKey?: string}} [options] - localStorage key holding the queue. Give each
+ *   signed-in user their own key, so one account's writes are never replayed as another's.
+ * @returns {object} A storage object with the same API plus `onSyncStatus`, `resolveSyncProblem`
+ *   and `close`, which stops replaying; whatever is still queued stays saved under the key.
+ */
+export const createSyncedStorage = (storage, { storageKey = 'kalari-sync-queue' } = {}) => {
+    let queue = []; // [{ id, path, op, docId, docIds, data, writes, baseVersion, queuedAt, sent }]
+    let problems = []; // [{ id, kind: 'conflict'|'error'|'storage', message, entry }]
+    let flushing = false;
+    let closed = false;
+    let retryTimer = null;
+
+    const waiters = new Map(); // entry id -> { resolve, reject } for callers still awaiting a write
+    const statusListeners = new Set();
+    const overlayListeners = new Set();
+
+    try {
+        const saved = localStorage.getItem(storageKey);
+        if (saved) ({ queue = [], problems = [] } = decode(saved));
+    } catch (error) {
+        console.error("Could not read the offline write queue:", error);
+    }
+
+    const getStatus = () => ({
+        state: problems.length > 0 ? 'error' : queue.length > 0 ? 'pending' : 'synced',
+        pending: queue.length,
+        online: isOnline(),
+        problems,
+    });
+
+    const save = () => {
+        const writeProblems = problems.filter(problem => problem.kind !== 'storage');
+        try {
+            localStorage.setItem(storageKey, encode({ queue, problems: writeProblems }));
+            problems = writeProblems;
+        } catch (error) {
+            console.error("Could not save the offline write queue:", error);
+            if (writeProblems.length === problems.length) {
+                problems = [...problems, { id: 'storage', kind: 'storage', message: `Unsynced changes would be lost on reload: ${error.message}`, entry: null }];
+            }
+        }
+    };
+
+    const changed = () => {
+        save();
+        const status = getStatus();
+        statusListeners.forEach(listener => listener(status));
+        overlayListeners.forEach(listener => listener());
+    };
+
+    const settle = (entryId, error, result) => {
+        const waiter = waiters.get(entryId);
+        if (!waiter) return false;
+        waiters.delete(entryId);
+        if (error) waiter.reject(error);
+        else waiter.resolve(result);
+        return true;
+    };
+
+    // Everyone still waiting hears that their write is queued, not saved
+    const settleQueued = () => waiters.forEach((waiter, entryId) => settle(entryId, null, QUEUED));
+
+    const withTimeout = promise => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(codedError('timeout', 'Write timed out.')), WRITE_TIMEOUT_MS);
+        promise.then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+
+    const addProblem = (entry, error) => {
+        problems = [...problems, {
+            id: entry.id,
+            kind: error.code === 'conflict' ? 'conflict' : 'error',
+            message: error.message,
+            entry,
+        }];
+    };
+
+    const applyEntry = async (entry) => {
+        if (entry.op === 'batch') {
+            return storage.batch(entry.writes.map(({ path, op, docId, data }) => ({ path, op, id: docId, data })));
+        }
+        const target = storage.collection(entry.path);
+
+        switch (entry.op) {
+            case 'set': return target.set(entry.docId, entry.data);
+            case 'update': return target.update(entry.docId, entry.data, { ifVersion: entry.baseVersion });
+            case 'remove': return target.remove(entry.docId);
+            case 'addMany': return target.addMany(entry.data, { ids: entry.docIds });
+            default: throw new Error(`Unknown queued operation '${entry.op}'.`);
+        }
+    };
+
+    // Later edits of the same document were made on top of this one, so once it is written
+    // they are checked against it rather than reported as conflicting with it
+    const rebaseAfter = (entry) => {
+        queue = queue.map(later => (later.op === 'update' && later.docId === entry.docId && later.path.join('/') === entry.path.join('/')
+            ? { ...later, baseVersion: undefined }
+            : later));
+    };
+
+    const scheduleRetry = () => {
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(flush, RETRY_INTERVAL_MS);
+    };
+
+    async function flush() {
+        if (flushing || closed || !isOnline()) return;
+        flushing = true;
+
+        try {
+            while (queue.length > 0 && !closed) {
+                const entry = queue[0];
+                if (entry.sent && !(entry.op === 'update' && entry.baseVersion)) {
+                    // Sent before a reload and kept by Firestore since (see above)
+                    queue = queue.slice(1);
+                    changed();
+                    continue;
+                }
+
+                const write = applyEntry(entry);
+                try {
+                    await withTimeout(write).catch(async (error) => {
+                        if (error.code !== 'timeout') throw error;
+                        // Still on its way: wait for it, however long, rather than send it again
+                        queue = [{ ...entry, sent: true }, ...queue.slice(1)];
+                        settleQueued();
+                        changed();
+                        await write;
+                    });
+                } catch (error) {
+                    if (NETWORK_ERROR_CODES.has(error.code)) {
+                        // The backend did not take the write; it stays queued and replays later
+                        queue = [{ ...entry, sent: undefined }, ...queue.slice(1)];
+                        settleQueued();
+                        changed();
+                        scheduleRetry();
+                        return;
+                    }
+                    queue = queue.slice(1);
+                    if (!settle(entry.id, error)) addProblem(entry, error);
+                    changed();
+                    continue;
+                }
+                queue = queue.slice(1);
+                if (entry.baseVersion) rebaseAfter(entry);
+                settle(entry.id);
+                changed();
+            }
+        } finally {
+            flushing = false;
+        }
+    }
+
+    const enqueue = (entry) => {
+        const queued = { ...entry, id: generateId(), queuedAt: new Date() };
+        queue = [...queue, queued];
+        changed();
+
+        // Offline, or waiting behind a write that has not been acknowledged yet
+        if (!isOnline() || queue[0].sent) {
+            flush();
+            return Promise.resolve(QUEUED);
+        }
+        const done = new Promise((resolve, reject) => waiters.set(queued.id, { resolve, reject }));
+        flush();
+        return done;
+    };
+
+    // Applies the queued writes for one collection on top of the backend's documents.
+    const overlay = (path, items) => {
+        const documents = new Map(items.map(item => [item.id, item]));
+        // The writes of a queued batch overlay like entries of their own
+        const writes = queue.flatMap(entry => (entry.op === 'batch' ? entry.writes.map(write => ({ ...write, queuedAt: entry.queuedAt })) : [entry]));
+        writes.filter(entry => entry.path.join('/') === path).forEach((entry) => {
+            const existing = documents.get(entry.docId) || {};
+            if (entry.op === 'addMany') {
+                entry.data.forEach((item, index) => {
+                    documents.set(entry.docIds[index], { ...resolvePlaceholders(item, {}, entry.queuedAt), id: entry.docIds[index], pending: true });
+                });
+                return;
+            }
+            const data = resolvePlaceholders(entry.data || {}, existing, entry.queuedAt);
+            if (entry.op === 'set') {
+                documents.set(entry.docId, { ...data, id: entry.docId, pending: true });
+            } else if (entry.op === 'update' && documents.has(entry.docId)) {
+                documents.set(entry.docId, { ...existing, ...data, pending: true });
+            } else if (entry.op === 'remove') {
+                documents.delete(entry.docId);
+            }
+        });
+        return [...documents.values()];
+    };
+
+    const collectionApi = (segments) => {
+        const path = segments.join('/');
+        const target = storage.collection(segments);
+
+        return {
+            subscribe: (options, onNext, onError) => {
+                let baseItems = null;
+                const trackChanges = createChangeTracker();
+                const emit = () => {
+                    if (baseItems === null) return;
+                    const items = runQuery(overlay(path, baseItems), options);
+                    onNext(items, trackChanges(items));
+                };
+
+                const unsubscribe = target.subscribe(options, (items) => {
+                    baseItems = items;
+                    emit();
+                }, onError);
+                overlayListeners.add(emit);
+
+                return () => {
+                    overlayListeners.delete(emit);
+                    unsubscribe();
+                };
+            },
+            list: async options => runQuery(overlay(path, await target.list(options)), options),
+            get: async (id) => {
+                const item = await target.get(id);
+                return overlay(path, item ? [item] : []).find(candidate => candidate.id === id) ?? null;
+            },
+            add: async (data) => {
+                // Ids are assigned up front so the write can be retried without duplicating it
+                const docId = generateId();
+                await enqueue({ path: segments, op: 'set', docId, data });
+                return docId;
+            },
+            set: (id, data) => enqueue({ path: segments, op: 'set', docId: id, data }),
+            update: (id, patch, { baseVersion } = {}) => enqueue({ path: segments, op: 'update', docId: id, data: patch, baseVersion }),
+            remove: id => enqueue({ path: segments, op: 'remove', docId: id }),
+            // One queued batch, written with the backend's addMany; ids are assigned up front as in add
+            addMany: items => (items.length > 0
+                ? enqueue({ path: segments, op: 'addMany', docIds: items.map(() => generateId()), data: items })
+                : Promise.resolve()),
+        };
+    };
+
+    // One queued entry, so the backend gets the writes together as one batch
+    const runBatch = writes => enqueue({ op: 'batch', writes: writes.map(({ path, op, id, data }) => ({ path, op, docId: id, data })) });
+
+    /**
+     * Resolves a write that could not be applied: 'retry' queues it again without the
+     * conflict check (keeping the local version), 'discard' drops it. A 'storage' problem
+     * can only be dismissed; it comes back if the queue still cannot be saved.
+     */
+    const resolveSyncProblem = (problemId, action) => {
+        const problem = problems.find(p => p.id === problemId);
+        if (!problem) return;
+
+        problems = problems.filter(p => p.id !== problemId);
+        if (action === 'retry' && problem.entry) {
+            queue = [...queue, { ...problem.entry, baseVersion: undefined }];
+            flush();
+        }
+        changed();
+    };
+
+    const onSyncStatus = (listener) => {
+        statusListeners.add(listener);
+        listener(getStatus());
+        return () => statusListeners.delete(listener);
+    };
+
+    const handleOnline = () => {
+        changed();
+        flush();
+    };
+
+    /**
+     * Stops replaying, e.g. when another user signs in. The queue is kept under its key
+     * and replays when a storage for the same key is created again.
+     */
+    const close = () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', changed);
+        }
+        statusListeners.clear();
+        overlayListeners.clear();
+    };
+
+    if (typeof window !== 'undefined') {
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', changed);
+    }
+    // Replay anything left over from a previous session
+    flush();
+
+    return withRepositories({
+        ...storage,
+        collection: collectionApi,
+        batch: runBatch,
+        onSyncStatus,
+        resolveSyncProblem,
+        close,
+    });
+};
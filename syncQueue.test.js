@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createLocalStorage, increment, SERVER_TIME } from './storage';
+import { createSyncedStorage, QUEUED } from './syncQueue';
+
+const memoryLocalStorage = () => {
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+    };
+};
+
+describe('createSyncedStorage', () => {
+    let backend;
+
+    beforeEach(() => {
+        vi.stubGlobal('localStorage', memoryLocalStorage());
+        backend = createLocalStorage({ persistence: 'memory' });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('queues addMany as one batch written with the backend addMany', async () => {
+        let batches = 0;
+        const counting = {
+            ...backend,
+            collection: (segments) => {
+                const target = backend.collection(segments);
+                return { ...target, addMany: (items, options) => { batches++; return target.addMany(items, options); } };
+            },
+        };
+        const synced = createSyncedStorage(counting, { storageKey: 'queue-user1' });
+
+        await synced.collection(['items']).addMany([{ n: 1 }, { n: 2 }, { n: 3 }]);
+
+        expect(batches).toBe(1);
+        expect((await backend.collection(['items']).list()).map(item => item.n).sort()).toEqual([1, 2, 3]);
+        synced.close();
+    });
+
+    it('queues a batch as one entry and shows its writes until they are written together', async () => {
+        await backend.posts().set('p1', { title: 'Post', commentCount: 0 });
+        const batches = [];
+        let release;
+        const held = new Promise((resolve) => { release = resolve; });
+        const synced = createSyncedStorage({
+            ...backend,
+            batch: async (writes) => {
+                batches.push(writes);
+                await held;
+                return backend.batch(writes);
+            },
+        }, { storageKey: 'queue-user1' });
+
+        const saved = synced.batch([
+            { path: ['public', 'data', 'blog_posts', 'p1', 'comments'], op: 'set', id: 'c1', data: { content: 'Hi' } },
+            { path: ['public', 'data', 'blog_posts'], op: 'update', id: 'p1', data: { commentCount: increment(1) } },
+        ]);
+        expect(await synced.comments('p1').get('c1')).toMatchObject({ content: 'Hi', pending: true });
+        expect((await synced.posts().get('p1')).commentCount).toBe(1);
+
+        release();
+        await saved;
+        expect(batches).toHaveLength(1);
+        expect((await backend.posts().get('p1')).commentCount).toBe(1);
+        expect(JSON.parse(localStorage.getItem('queue-user1')).queue).toEqual([]);
+        synced.close();
+    });
+
+    it('rejects an update based on a version that has since changed', async () => {
+        const id = await backend.posts().add({ title: 'Draft', timestamp: new Date(1000) });
+        await backend.posts().update(id, { title: 'Edited elsewhere', updatedAt: new Date(2000) });
+        const synced = createSyncedStorage(backend, { storageKey: 'queue-user1' });
+
+        await expect(synced.posts().update(id, { title: 'Mine' }, { baseVersion: new Date(1000) }))
+            .rejects.toMatchObject({ code: 'conflict' });
+        expect((await backend.posts().get(id)).title).toBe('Edited elsewhere');
+        synced.close();
+    });
+
+    it('does not report a conflict between two edits queued on the same device', async () => {
+        const id = await backend.posts().add({ title: 'Draft', timestamp: new Date(1000) });
+        const synced = createSyncedStorage(backend, { storageKey: 'queue-user1' });
+        const baseVersion = new Date(1000);
+
+        await Promise.all([
+            synced.posts().update(id, { title: 'First', updatedAt: SERVER_TIME }, { baseVersion }),
+            synced.posts().update(id, { title: 'Second', updatedAt: SERVER_TIME }, { baseVersion }),
+        ]);
+
+        expect((await backend.posts().get(id)).title).toBe('Second');
+        synced.close();
+    });
+
+    it('keeps a timed-out write queued without sending it again', async () => {
+        vi.useFakeTimers();
+        const id = await backend.posts().add({ commentCount: 0 });
+        let calls = 0;
+        let acknowledge;
+        const slow = {
+            ...backend,
+            collection: segments => ({
+                ...backend.collection(segments),
+                update: (...args) => {
+                    calls++;
+                    // Only the first write hangs until acknowledged
+                    if (calls > 1) return backend.collection(segments).update(...args);
+                    return new Promise((resolve) => { acknowledge = () => resolve(backend.collection(segments).update(...args)); });
+                },
+            }),
+        };
+        const synced = createSyncedStorage(slow, { storageKey: 'queue-user1' });
+
+        const saved = synced.posts().update(id, { commentCount: increment(1) });
+        await vi.advanceTimersByTimeAsync(15000);
+        expect(await saved).toBe(QUEUED);
+        await vi.advanceTimersByTimeAsync(60000);
+
+        expect(calls).toBe(1);
+        expect(JSON.parse(localStorage.getItem('queue-user1')).queue).toMatchObject([{ sent: true }]);
+        // Later writes wait behind it, and say so
+        expect(await synced.posts().update(id, { title: 'Later' })).toBe(QUEUED);
+
+        acknowledge();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(JSON.parse(localStorage.getItem('queue-user1')).queue).toEqual([]);
+        expect((await backend.posts().get(id)).commentCount).toBe(1);
+        expect((await backend.posts().get(id)).title).toBe('Later');
+        synced.close();
+    });
+
+    it('leaves a write sent before a reload to the backend', async () => {
+        const id = await backend.posts().add({ commentCount: 0 });
+        const first = createSyncedStorage({
+            ...backend,
+            collection: segments => ({ ...backend.collection(segments), update: () => new Promise(() => {}) }),
+        }, { storageKey: 'queue-user1' });
+        vi.useFakeTimers();
+        first.posts().update(id, { commentCount: increment(1) });
+        await vi.advanceTimersByTimeAsync(15000);
+        first.close();
+        vi.useRealTimers();
+
+        // The next page load finds the entry marked as sent
+        const second = createSyncedStorage(backend, { storageKey: 'queue-user1' });
+        await second.posts().list();
+
+        expect((await backend.posts().get(id)).commentCount).toBe(0);
+        expect(JSON.parse(localStorage.getItem('queue-user1')).queue).toEqual([]);
+        second.close();
+    });
+
+    it('tells every waiter its write is only queued when the network fails', async () => {
+        const id = await backend.posts().add({ title: 'Draft' });
+        const failing = {
+            ...backend,
+            collection: segments => ({
+                ...backend.collection(segments),
+                update: () => Promise.reject(Object.assign(new Error('Offline'), { code: 'unavailable' })),
+            }),
+        };
+        const synced = createSyncedStorage(failing, { storageKey: 'queue-user1' });
+
+        const results = await Promise.all([
+            synced.posts().update(id, { title: 'First' }),
+            synced.posts().update(id, { title: 'Second' }),
+        ]);
+
+        expect(results).toEqual([QUEUED, QUEUED]);
+        expect(JSON.parse(localStorage.getItem('queue-user1')).queue).toHaveLength(2);
+        synced.close();
+    });
+
+    it('keeps running and reports a problem when the queue cannot be saved', async () => {
+        const full = memoryLocalStorage();
+        full.setItem = () => { throw new Error('Quota exceeded'); };
+        vi.stubGlobal('localStorage', full);
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const synced = createSyncedStorage(backend, { storageKey: 'queue-user1' });
+        const statuses = [];
+        synced.onSyncStatus(status => statuses.push(status));
+
+        await synced.posts().set('p1', { title: 'Saved anyway' });
+
+        expect((await backend.posts().get('p1')).title).toBe('Saved anyway');
+        expect(statuses.at(-1).problems).toMatchObject([{ kind: 'storage', entry: null }]);
+        synced.close();
+    });
+
+    it('keeps each queue under its own key', async () => {
+        const id = await backend.posts().add({ title: 'Draft' });
+        const failing = {
+            ...backend,
+            collection: segments => ({ ...backend.collection(segments), update: () => Promise.reject(Object.assign(new Error('Offline'), { code: 'unavailable' })) }),
+        };
+        const first = createSyncedStorage(failing, { storageKey: 'queue-user1' });
+        await first.posts().update(id, { title: 'Queued' });
+        first.close();
+
+        const second = createSyncedStorage(backend, { storageKey: 'queue-user2' });
+        const statuses = [];
+        second.onSyncStatus(status => statuses.push(status.pending));
+
+        expect(statuses).toEqual([0]);
+        expect(JSON.parse(localStorage.getItem('queue-user1')).queue).toHaveLength(1);
+        second.close();
+    });
+});
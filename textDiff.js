@@ -0,0 +1,107 @@
+/**
+ * Line-level diff for comparing post revisions.
+ * Uses Myers' O(ND) algorithm, so two versions of a long post that differ in a few
+ * places are compared quickly. Lines are compared exactly, after normalizing line endings.
+ */
+
+/**
+ * Splits text into lines; empty text has no lines.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const splitLines = text => (text ? String(text).replace(/\r\n?/g, '\n').split('\n') : []);
+
+/**
+ * Computes the shortest edit script turning `before` into `after`, line by line.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string, oldLine?: number, newLine?: number}>}
+ *   Line numbers are 1-based; removed lines have only `oldLine`, added lines only `newLine`.
+ */
+export const diffLines = (before, after) => {
+    const a = splitLines(before);
+    const b = splitLines(after);
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = []; // trace[d] holds v for diagonals -d-1..d+1 before step d
+
+    search: for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) break search;
+        }
+    }
+
+    // Walk the trace backwards from the end of both texts
+    const result = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const at = k => trace[d][k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            result.push({ type: 'same', text: a[x - 1], oldLine: x, newLine: y });
+            x--;
+            y--;
+        }
+        if (d === 0) break;
+        if (x === prevX) {
+            result.push({ type: 'added', text: b[y - 1], newLine: y });
+        } else {
+            result.push({ type: 'removed', text: a[x - 1], oldLine: x });
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return result.reverse();
+};
+
+/**
+ * Folds long runs of unchanged lines, keeping `context` lines around each change.
+ * @param {ReturnType<typeof diffLines>} diff
+ * @param {number} [context=3]
+ * @returns {Array<object>} The diff entries, with `{ type: 'skipped', count }` in place of folded runs.
+ */
+export const collapseUnchanged = (diff, context = 3) => {
+    const result = [];
+    let run = [];
+    const flush = (atStart, atEnd) => {
+        const keepBefore = atStart ? 0 : context;
+        const keepAfter = atEnd ? 0 : context;
+        if (run.length > keepBefore + keepAfter + 1) {
+            result.push(...run.slice(0, keepBefore));
+            result.push({ type: 'skipped', count: run.length - keepBefore - keepAfter });
+            result.push(...run.slice(run.length - keepAfter));
+        } else {
+            result.push(...run);
+        }
+        run = [];
+    };
+
+    diff.forEach((entry) => {
+        if (entry.type === 'same') {
+            run.push(entry);
+            return;
+        }
+        flush(result.length === 0, false);
+        result.push(entry);
+    });
+    flush(result.length === 0, true);
+    return result;
+};